@@ -1,8 +1,17 @@
 #!/usr/bin/env bun
 
-import { watch as fsWatch } from 'fs';
-import { resolve } from 'path';
-import { compile } from './compiler.js';
+import { existsSync, readFileSync, rmSync, statSync, watch as fsWatch } from 'fs';
+import { basename, dirname, join, relative, resolve, sep } from 'path';
+import { BoaCompilerError, compile, formatError, formatWarning, parse, print } from './compiler.js';
+import { findConfig, loadConfig, normalizeIndent } from './config.js';
+import { DependencyGraph } from './dependency-graph.js';
+import { fromCss } from './from-css.js';
+import { startServer } from './lsp.js';
+import { migrate } from './migrate.js';
+import { inlineSourceMapComment } from './sourcemap.js';
+
+const DEFAULT_OPTIONS = { minify: false, hoverGuard: true, sourceMap: false, target: 'nested' };
+const FAILURE_BANNER = '/* [boa] compile failed, showing the last successful build.';
 
 async function readInput(path) {
   if (!path || path === '-') {
@@ -16,117 +25,827 @@ async function readInput(path) {
   return file.text();
 }
 
-async function writeOutput(css, path) {
+async function writeOutput(output, path) {
   if (!path || path === '-') {
-    await Bun.write(Bun.stdout, css);
+    await Bun.write(Bun.stdout, output.css);
     return;
   }
 
-  await Bun.write(path, css);
+  await Bun.write(path, output.css);
+  if (output.map) {
+    await Bun.write(`${path}.map`, JSON.stringify(output.map));
+  }
+}
+
+function withFilename(options, inputPath) {
+  if (!inputPath || inputPath === '-') {
+    return options;
+  }
+  return { ...options, filename: inputPath };
+}
+
+function build(source, inputPath, outputPath, settings) {
+  const { sourceMap, ...options } = settings;
+  const hasOutputFile = Boolean(outputPath) && outputPath !== '-';
+  if (sourceMap === 'file' && !hasOutputFile) {
+    throw new Error('--source-map requires an output file path; use --inline-source-map when writing to stdout.');
+  }
+  const result = compile(source, {
+    ...withFilename(options, inputPath),
+    recover: true,
+    details: true,
+    sourceMap: Boolean(sourceMap),
+    outFile: hasOutputFile ? outputPath : undefined,
+  });
+  if (!sourceMap) {
+    return { css: result.css, map: null, dependencies: result.dependencies };
+  }
+
+  const comment = sourceMap === 'inline'
+    ? inlineSourceMapComment(result.map)
+    : `/*# sourceMappingURL=${basename(outputPath)}.map */`;
+  const separator = result.css.endsWith('\n') ? '' : '\n';
+  return {
+    css: `${result.css}${separator}${comment}\n`,
+    map: sourceMap === 'file' ? result.map : null,
+    dependencies: result.dependencies,
+  };
 }
 
 async function compileOnce(inputPath, outputPath, options) {
   const source = await readInput(inputPath);
-  const css = compile(source, options);
-  await writeOutput(css, outputPath);
+  await writeOutput(build(source, inputPath, outputPath, options), outputPath);
 }
 
-async function runWatch(inputPath, outputPath, options) {
-  const absInput = inputPath && inputPath !== '-' ? resolve(process.cwd(), inputPath) : null;
-  if (!absInput) {
-    throw new Error('Watch mode requires a real input file path.');
+function failureBanner(error) {
+  const message = error instanceof BoaCompilerError
+    ? error.errors.map((item) => item.message).join('\n')
+    : error instanceof Error ? error.message : String(error);
+  return `${FAILURE_BANNER}\n${message.replace(/\*\//g, '* /')}\n*/\n`;
+}
+
+function existingOutput(outputPath) {
+  if (!existsSync(outputPath)) {
+    return '';
   }
+  const css = readFileSync(outputPath, 'utf8');
+  return css.startsWith(FAILURE_BANNER) ? css.slice(css.indexOf('\n*/\n') + 4) : css;
+}
 
-  const initial = await readInput(inputPath);
-  let previous = initial;
-  try {
-    const css = compile(initial, options);
-    await writeOutput(css, outputPath);
-    console.log(`[boa] compiled ${inputPath}${options.minify ? ' (minified)' : ''}`);
-  } catch (error) {
-    reportError(error, 'initial compile');
+async function runWatch(paths, outDir, options, reporting) {
+  const single = outDir === null;
+  const outputs = new Map();
+  const roots = new Set();
+
+  if (single) {
+    const [inputPath, outputPath] = paths;
+    if (!inputPath || inputPath === '-') {
+      throw new Error('Watch mode requires a real input file path.');
+    }
+    outputs.set(resolve(inputPath), outputPath);
+  } else {
+    for (const { file, base } of await expandInputs(paths)) {
+      outputs.set(file, batchOutputPath(outDir, base, file));
+    }
+    for (const path of paths) {
+      if (isGlob(path) || isDirectory(path)) {
+        roots.add(isGlob(path) ? globBase(path) : resolve(path));
+      }
+    }
   }
 
+  const toStdout = single && (!paths[1] || paths[1] === '-');
+  const log = (message) => (toStdout ? console.error(message) : console.log(message));
+  const graph = new DependencyGraph();
+  const lastGood = new Map();
+  const contents = new Map();
+  const watchers = new Map();
+
+  const compileEntry = async (entry) => {
+    const outputPath = outputs.get(entry);
+    try {
+      const source = await readInput(entry);
+      const output = build(source, entry, outputPath, options);
+      graph.setDependencies(entry, output.dependencies);
+      await writeOutput(output, outputPath);
+      lastGood.set(entry, output);
+      log(`[boa] compiled ${displayPath(entry)}${options.minify ? ' (minified)' : ''}`);
+    } catch (error) {
+      if (!graph.hasEntry(entry)) {
+        graph.setDependencies(entry, []);
+      }
+      if (error instanceof BoaCompilerError) {
+        for (const file of [error.filename, ...(error.dependencies ?? [])]) {
+          if (file && file !== entry) {
+            graph.addDependency(entry, file);
+          }
+        }
+      }
+      reportError(error, `compile ${displayPath(entry)}`, reporting);
+      if (outputPath && outputPath !== '-') {
+        const previous = lastGood.get(entry);
+        await Bun.write(outputPath, `${failureBanner(error)}${previous ? previous.css : existingOutput(outputPath)}`);
+      }
+    }
+  };
+
+  const removeEntry = (entry) => {
+    const outputPath = outputs.get(entry);
+    outputs.delete(entry);
+    graph.removeEntry(entry);
+    lastGood.delete(entry);
+    rmSync(outputPath, { force: true });
+    rmSync(`${outputPath}.map`, { force: true });
+    log(`[boa] removed ${displayPath(resolve(outputPath))}`);
+  };
+
+  const matchInputs = (file) => {
+    if (isPartial(file) || !file.endsWith('.boa')) {
+      return null;
+    }
+    for (const path of paths) {
+      if (isGlob(path)) {
+        if (new Bun.Glob(path).match(relative(process.cwd(), file))) {
+          return globBase(path);
+        }
+      } else if (isDirectory(path) && file.startsWith(resolve(path) + sep)) {
+        return resolve(path);
+      }
+    }
+    return null;
+  };
+
+  const processChanges = async (changed) => {
+    const affected = new Set();
+    for (const file of changed) {
+      const exists = existsSync(file);
+      if (exists) {
+        const text = readFileSync(file, 'utf8');
+        if (contents.get(file) === text) {
+          continue;
+        }
+        contents.set(file, text);
+      } else {
+        contents.delete(file);
+      }
+
+      if (!single && !exists && outputs.has(file)) {
+        removeEntry(file);
+        continue;
+      }
+      if (!single && exists && !outputs.has(file)) {
+        const base = matchInputs(file);
+        if (base) {
+          outputs.set(file, batchOutputPath(outDir, base, file));
+          affected.add(file);
+        }
+      }
+      for (const entry of graph.affectedEntries(file)) {
+        affected.add(entry);
+      }
+    }
+    for (const entry of affected) {
+      await compileEntry(entry);
+    }
+    refreshWatchers();
+  };
+
+  const pending = new Set();
   let timer = null;
-  const schedule = () => {
+  let queue = Promise.resolve();
+  const schedule = (file) => {
+    if (!file.endsWith('.boa') && !graph.files().includes(file)) {
+      return;
+    }
+    pending.add(file);
     if (timer) {
       clearTimeout(timer);
     }
-    timer = setTimeout(async () => {
+    timer = setTimeout(() => {
       timer = null;
-      try {
-        const next = await readInput(inputPath);
-        if (next === previous) {
-          return;
-        }
-        const css = compile(next, options);
-        await writeOutput(css, outputPath);
-        previous = next;
-        console.log(`[boa] compiled ${inputPath}${options.minify ? ' (minified)' : ''}`);
-      } catch (error) {
-        reportError(error, 'watch');
-      }
+      const changed = [...pending];
+      pending.clear();
+      queue = queue.then(() => processChanges(changed));
     }, 30);
   };
 
-  const watcher = fsWatch(absInput, { persistent: true }, (eventType) => {
-    if (eventType !== 'change' && eventType !== 'rename') {
+  const watchDirectory = (dir, recursive) => {
+    if (watchers.has(dir) || !existsSync(dir)) {
       return;
     }
-    schedule();
-  });
+    if (!recursive && [...roots].some((root) => dir === root || dir.startsWith(root + sep))) {
+      return;
+    }
+    watchers.set(dir, fsWatch(dir, { persistent: true, recursive }, (eventType, name) => {
+      if (name && (eventType === 'change' || eventType === 'rename')) {
+        schedule(resolve(dir, name.toString()));
+      }
+    }));
+  };
+
+  const refreshWatchers = () => {
+    for (const file of graph.files()) {
+      watchDirectory(dirname(file), false);
+    }
+  };
+
+  for (const root of roots) {
+    watchDirectory(root, true);
+  }
+  for (const entry of outputs.keys()) {
+    await compileEntry(entry);
+  }
+  for (const file of graph.files()) {
+    if (existsSync(file)) {
+      contents.set(file, readFileSync(file, 'utf8'));
+    }
+  }
+  refreshWatchers();
 
   const shutdown = () => {
-    watcher.close();
+    for (const watcher of watchers.values()) {
+      watcher.close();
+    }
     process.exit(0);
   };
 
   process.on('SIGINT', shutdown);
   process.on('SIGTERM', shutdown);
 
-  console.log(`[boa] watching ${inputPath}… (Ctrl+C to exit)`);
+  log(`[boa] watching ${single ? paths[0] : paths.join(', ')}… (Ctrl+C to exit)`);
   await new Promise(() => {});
 }
 
-function reportError(error, phase) {
+function reportError(error, phase, reporting = {}) {
+  if (reporting.format === 'json') {
+    const details = error instanceof BoaCompilerError
+      ? error.errors.map((item) => item.toJSON())
+      : [{ message: error instanceof Error ? error.message : String(error) }];
+    for (const detail of details) {
+      console.error(JSON.stringify({ phase, ...detail }));
+    }
+    return;
+  }
+
+  if (error instanceof BoaCompilerError) {
+    const rendered = error.errors.map((item) => formatError(item, {
+      color: reporting.color,
+      displayPath: (path) => relative(process.cwd(), path) || path,
+    }));
+    const count = rendered.length > 1 ? ` with ${rendered.length} errors` : '';
+    console.error(`[boa] ${phase} failed${count}\n${rendered.join('\n\n')}`);
+    return;
+  }
+
   const message = error instanceof Error ? error.message : String(error);
   console.error(`[boa] ${phase} failed: ${message}`);
 }
 
-async function main() {
-  const [, , ...args] = Bun.argv;
-  let minify = false;
-  let hoverGuard = true;
+function supportsColor() {
+  return Boolean(process.stderr.isTTY) && !process.env.NO_COLOR;
+}
+
+function displayPath(path) {
+  return relative(process.cwd(), path) || path;
+}
+
+function isPartial(path) {
+  return basename(path).startsWith('_');
+}
+
+function isGlob(pattern) {
+  return /[*?[{]/.test(pattern);
+}
+
+function isDirectory(path) {
+  try {
+    return statSync(path).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function globBase(pattern) {
+  const segments = pattern.split('/');
+  const index = segments.findIndex((segment) => isGlob(segment));
+  return resolve(segments.slice(0, index).join('/') || '.');
+}
+
+async function expandInputs(patterns, { partials = false, extensions = ['.boa'] } = {}) {
+  const skip = (path) => !partials && isPartial(path);
+  const matches = (path) => extensions.some((extension) => path.endsWith(extension));
+  const entries = new Map();
+  for (const pattern of patterns) {
+    if (isGlob(pattern)) {
+      const base = globBase(pattern);
+      for await (const match of new Bun.Glob(pattern).scan({ cwd: process.cwd(), onlyFiles: true })) {
+        if (matches(match) && !skip(match) && !entries.has(resolve(match))) {
+          entries.set(resolve(match), { file: resolve(match), base });
+        }
+      }
+      continue;
+    }
+
+    let stats = null;
+    try {
+      stats = statSync(pattern);
+    } catch {
+      throw new Error(`Input file not found: ${pattern}`);
+    }
+    if (stats.isDirectory()) {
+      const base = resolve(pattern);
+      for await (const match of new Bun.Glob('**/*').scan({ cwd: pattern, onlyFiles: true })) {
+        const file = resolve(pattern, match);
+        if (matches(match) && !skip(match) && !entries.has(file)) {
+          entries.set(file, { file, base });
+        }
+      }
+    } else if (!entries.has(resolve(pattern))) {
+      entries.set(resolve(pattern), { file: resolve(pattern), base: resolve(pattern, '..') });
+    }
+  }
+  return [...entries.values()].sort((a, b) => a.file.localeCompare(b.file));
+}
+
+function batchOutputPath(outDir, base, file) {
+  return join(outDir, relative(base, file)).replace(/\.boa$/, '.css');
+}
+
+async function runBatch(patterns, outDir, options, reporting) {
+  const entries = await expandInputs(patterns);
+  if (entries.length === 0) {
+    throw new Error(`No .boa files matched ${patterns.join(', ')}`);
+  }
+
+  const results = await Promise.allSettled(entries.map(async ({ file, base }) => {
+    const outputPath = batchOutputPath(outDir, base, file);
+    const source = await readInput(file);
+    await writeOutput(build(source, file, outputPath, options), outputPath);
+    return outputPath;
+  }));
+
+  let failures = 0;
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      console.log(`[boa] wrote ${displayPath(resolve(result.value))}`);
+      return;
+    }
+    failures += 1;
+    reportError(result.reason, `compile ${displayPath(entries[index].file)}`, reporting);
+  });
+
+  const written = entries.length - failures;
+  const summary = `[boa] compiled ${written} of ${entries.length} file(s) to ${displayPath(resolve(outDir))}`;
+  console.log(failures > 0 ? `${summary}, ${failures} failed` : summary);
+  return failures > 0 ? 1 : 0;
+}
+
+function parseReportingFlag(arg, reporting) {
+  if (arg.startsWith('--error-format=')) {
+    const format = arg.slice('--error-format='.length);
+    if (format !== 'text' && format !== 'json') {
+      throw new Error(`Unknown error format "${format}" (expected text or json)`);
+    }
+    reporting.format = format;
+    return true;
+  }
+  if (arg === '--color' || arg === '--no-color') {
+    reporting.color = arg === '--color';
+    return true;
+  }
+  return false;
+}
+
+async function resolveConfig(configPath) {
+  if (configPath === false) {
+    return null;
+  }
+  const path = configPath ?? findConfig();
+  return path ? loadConfig(path) : null;
+}
+
+function parseConfigFlag(args, index, settings) {
+  const arg = args[index];
+  if (arg === '--no-config') {
+    settings.configPath = false;
+    return 1;
+  }
+  if (arg.startsWith('--config=')) {
+    settings.configPath = arg.slice('--config='.length);
+    return 1;
+  }
+  if (arg === '--config') {
+    settings.configPath = args[index + 1];
+    if (!settings.configPath) {
+      throw new Error('--config requires a file path');
+    }
+    return 2;
+  }
+  return 0;
+}
+
+function cliPath(path) {
+  return relative(process.cwd(), path) || '.';
+}
+
+async function runCheck(args, reporting) {
+  let strict = false;
+  const flags = {};
+  const settings = {};
+  const patterns = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const consumed = parseConfigFlag(args, i, settings);
+    if (consumed > 0) {
+      i += consumed - 1;
+      continue;
+    }
+    if (arg === '--strict') {
+      strict = true;
+      continue;
+    }
+    if (arg === '--no-hover-guard') {
+      flags.hoverGuard = false;
+      continue;
+    }
+    if (parseReportingFlag(arg, reporting)) {
+      continue;
+    }
+    patterns.push(arg);
+  }
+
+  const config = await resolveConfig(settings.configPath);
+  if (patterns.length === 0 && config) {
+    patterns.push(...config.entries.map((entry) => cliPath(entry.input)));
+  }
+  if (patterns.length === 0) {
+    throw new Error('boa check requires at least one file, directory or glob.');
+  }
+  const { minify, sourceMap, ...options } = { ...config?.options, ...flags };
+
+  const files = (await expandInputs(patterns)).map((entry) => entry.file);
+  const reported = new Set();
+  let errorCount = 0;
+  let warningCount = 0;
+
+  for (const file of files) {
+    try {
+      const source = await readInput(file);
+      const result = compile(source, { ...options, filename: file, recover: true, details: true });
+      for (const warning of result.warnings) {
+        const key = JSON.stringify(warning);
+        if (reported.has(key)) {
+          continue;
+        }
+        reported.add(key);
+        warningCount += 1;
+        if (reporting.format === 'json') {
+          console.error(JSON.stringify({ phase: 'check', severity: 'warning', ...warning }));
+        } else {
+          console.error(formatWarning(warning, { color: reporting.color, displayPath }));
+        }
+      }
+    } catch (error) {
+      errorCount += error instanceof BoaCompilerError ? error.errors.length : 1;
+      reportError(error, `check ${displayPath(file)}`, reporting);
+    }
+  }
+
+  if (reporting.format !== 'json') {
+    console.log(`[boa] checked ${files.length} file(s): ${errorCount} error(s), ${warningCount} warning(s)`);
+  }
+  return errorCount > 0 || (strict && warningCount > 0) ? 1 : 0;
+}
+
+async function runFmt(args, reporting) {
+  let check = false;
+  let indent = '\t';
+  const patterns = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--check') {
+      check = true;
+      continue;
+    }
+    if (arg === '--indent') {
+      const value = args[i + 1];
+      i += 1;
+      if (value === undefined) {
+        throw new Error('--indent requires a value');
+      }
+      indent = normalizeIndent(/^\d+$/.test(value) ? Number(value) : value);
+      continue;
+    }
+    if (parseReportingFlag(arg, reporting)) {
+      continue;
+    }
+    patterns.push(arg);
+  }
+
+  if (patterns.length === 0) {
+    const source = await readInput(null);
+    const formatted = print(parse(source), { indent });
+    if (check) {
+      return formatted === source ? 0 : 1;
+    }
+    await Bun.write(Bun.stdout, formatted);
+    return 0;
+  }
+
+  const files = (await expandInputs(patterns, { partials: true })).map((entry) => entry.file);
+  let changed = 0;
+  let errorCount = 0;
+  for (const file of files) {
+    try {
+      const source = await readInput(file);
+      const ast = parse(source, { filename: file, recover: true });
+      if (ast.errors.length > 0) {
+        ast.errors[0].errors = ast.errors;
+        throw ast.errors[0];
+      }
+      const formatted = print(ast, { indent });
+      if (formatted === source) {
+        continue;
+      }
+      changed += 1;
+      if (check) {
+        console.log(`[boa] not formatted: ${displayPath(file)}`);
+      } else {
+        await Bun.write(file, formatted);
+        console.log(`[boa] formatted ${displayPath(file)}`);
+      }
+    } catch (error) {
+      errorCount += 1;
+      reportError(error, `fmt ${displayPath(file)}`, reporting);
+    }
+  }
+
+  const verb = check ? 'need formatting' : 'reformatted';
+  console.log(`[boa] checked ${files.length} file(s): ${changed} ${verb}${errorCount > 0 ? `, ${errorCount} failed` : ''}`);
+  return errorCount > 0 || (check && changed > 0) ? 1 : 0;
+}
+
+async function runFromCss(args, reporting) {
+  let indent = '\t';
+  const paths = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--indent') {
+      const value = args[i + 1];
+      i += 1;
+      if (value === undefined) {
+        throw new Error('--indent requires a value');
+      }
+      indent = normalizeIndent(/^\d+$/.test(value) ? Number(value) : value);
+      continue;
+    }
+    if (parseReportingFlag(arg, reporting)) {
+      continue;
+    }
+    paths.push(arg);
+  }
+
+  const [inputPath, outputPath] = paths;
+  const source = await readInput(inputPath);
+  const filename = inputPath && inputPath !== '-' ? resolve(inputPath) : null;
+  const boa = fromCss(source, { filename, indent });
+  await writeOutput({ css: boa, map: null }, outputPath);
+  if (outputPath && outputPath !== '-') {
+    console.log(`[boa] wrote ${displayPath(resolve(outputPath))}`);
+  }
+  return 0;
+}
+
+async function runMigrate(args, reporting) {
+  let indent = '\t';
+  let outDir = null;
+  let force = false;
+  const patterns = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--indent' || arg === '-o' || arg === '--out-dir') {
+      const value = args[i + 1];
+      i += 1;
+      if (value === undefined) {
+        throw new Error(`${arg} requires a value`);
+      }
+      if (arg === '--indent') {
+        indent = normalizeIndent(/^\d+$/.test(value) ? Number(value) : value);
+      } else {
+        outDir = value;
+      }
+      continue;
+    }
+    if (arg === '--force') {
+      force = true;
+      continue;
+    }
+    if (parseReportingFlag(arg, reporting)) {
+      continue;
+    }
+    patterns.push(arg);
+  }
+  if (patterns.length === 0) {
+    throw new Error('boa migrate requires at least one .scss/.sass file, directory or glob.');
+  }
+
+  const entries = await expandInputs(patterns, { partials: true, extensions: ['.scss', '.sass'] });
+  if (entries.length === 0) {
+    throw new Error(`No .scss or .sass files matched ${patterns.join(', ')}`);
+  }
+
+  let errorCount = 0;
+  let todoCount = 0;
+  for (const { file, base } of entries) {
+    const outputPath = (outDir ? join(outDir, relative(base, file)) : file).replace(/\.(scss|sass)$/, '.boa');
+    try {
+      if (!force && existsSync(outputPath)) {
+        throw new Error(`${displayPath(resolve(outputPath))} already exists (use --force to overwrite)`);
+      }
+      const result = migrate(await readInput(file), { filename: file, indent });
+      await Bun.write(outputPath, result.code);
+      todoCount += result.todos.length;
+      const notes = result.todos.length > 0 ? ` (${result.todos.length} TODO${result.todos.length === 1 ? '' : 's'})` : '';
+      console.log(`[boa] migrated ${displayPath(file)} -> ${displayPath(resolve(outputPath))}${notes}`);
+      for (const todo of result.todos) {
+        console.log(`  ${displayPath(file)}:${todo.line}: ${todo.message}`);
+      }
+    } catch (error) {
+      errorCount += 1;
+      reportError(error, `migrate ${displayPath(file)}`, reporting);
+    }
+  }
+
+  const failed = errorCount > 0 ? `, ${errorCount} failed` : '';
+  console.log(`[boa] migrated ${entries.length - errorCount} of ${entries.length} file(s)${failed}; search for TODO(boa) to finish ${todoCount} manual step(s)`);
+  return errorCount > 0 ? 1 : 0;
+}
+
+async function runEntries(config, flags, outDir, watch, reporting) {
+  const jobs = config.entries.map((entry) => ({
+    input: cliPath(entry.input),
+    output: entry.output,
+    outDir: entry.output ? null : outDir ?? entry.outDir ?? config.outDir,
+    options: { ...DEFAULT_OPTIONS, ...config.options, ...entry.options, ...flags },
+  }));
+  for (const job of jobs) {
+    if (!job.output && !job.outDir) {
+      throw new Error(`Entry "${job.input}" needs an "output" file or an "outDir" (in ${displayPath(config.path)})`);
+    }
+  }
+
+  if (watch) {
+    await Promise.all(jobs.map((job) => (job.output
+      ? runWatch([job.input, job.output], null, job.options, reporting)
+      : runWatch([job.input], job.outDir, job.options, reporting))));
+    return 0;
+  }
+
+  let exitCode = 0;
+  for (const job of jobs) {
+    try {
+      if (job.output) {
+        await compileOnce(job.input, job.output, job.options);
+        console.log(`[boa] wrote ${displayPath(job.output)}`);
+      } else {
+        exitCode = Math.max(exitCode, await runBatch([job.input], job.outDir, job.options, reporting));
+      }
+    } catch (error) {
+      exitCode = 1;
+      reportError(error, `compile ${job.input}`, reporting);
+    }
+  }
+  return exitCode;
+}
+
+async function runCompile(args, reporting) {
+  const flags = {};
+  const settings = {};
   let watch = false;
+  let outDir = null;
   const paths = [];
 
-  for (const arg of args) {
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const consumed = parseConfigFlag(args, i, settings);
+    if (consumed > 0) {
+      i += consumed - 1;
+      continue;
+    }
+    if (arg === '-o' || arg === '--out-dir') {
+      outDir = args[i + 1];
+      i += 1;
+      if (!outDir) {
+        throw new Error(`${arg} requires a directory`);
+      }
+      continue;
+    }
+    if (arg.startsWith('--out-dir=')) {
+      outDir = arg.slice('--out-dir='.length);
+      continue;
+    }
+    if (arg === '--indent' || arg === '--root-selector') {
+      const value = args[i + 1];
+      i += 1;
+      if (value === undefined) {
+        throw new Error(`${arg} requires a value`);
+      }
+      if (arg === '--indent') {
+        flags.indent = normalizeIndent(/^\d+$/.test(value) ? Number(value) : value);
+      } else {
+        flags.rootSelector = value;
+      }
+      continue;
+    }
+    if (parseReportingFlag(arg, reporting)) {
+      continue;
+    }
     if (arg === '-m' || arg === '--minify') {
-      minify = true;
+      flags.minify = true;
+      continue;
+    }
+    if (arg === '--optimize') {
+      flags.optimize = true;
       continue;
     }
     if (arg === '--no-hover-guard') {
-      hoverGuard = false;
+      flags.hoverGuard = false;
       continue;
     }
     if (arg === '-w' || arg === '--watch') {
       watch = true;
       continue;
     }
+    if (arg === '--flat') {
+      flags.target = 'flat';
+      continue;
+    }
+    if (arg === '--source-map') {
+      flags.sourceMap = 'file';
+      continue;
+    }
+    if (arg === '--inline-source-map') {
+      flags.sourceMap = 'inline';
+      continue;
+    }
     paths.push(arg);
   }
 
+  const config = await resolveConfig(settings.configPath);
+  if (paths.length === 0 && config?.entries.length > 0) {
+    return runEntries(config, flags, outDir, watch, reporting);
+  }
+
+  const options = { ...DEFAULT_OPTIONS, ...config?.options, ...flags };
+  const batch = outDir !== null || paths.some((path) => isGlob(path) || isDirectory(path));
+  if (batch) {
+    outDir ??= config?.outDir ?? null;
+    if (outDir === null) {
+      throw new Error('Compiling directories or globs requires --out-dir <dir>.');
+    }
+    if (watch) {
+      await runWatch(paths, outDir, options, reporting);
+      return 0;
+    }
+    return runBatch(paths, outDir, options, reporting);
+  }
+
   const [inputArg, outputArg] = paths;
+  if (watch) {
+    await runWatch(paths, null, options, reporting);
+  } else {
+    await compileOnce(inputArg, outputArg, options);
+  }
+  return 0;
+}
+
+async function main() {
+  const [, , ...args] = Bun.argv;
+  const reporting = { format: 'text', color: supportsColor() };
+  const [command] = args;
 
   try {
-    const options = { minify, hoverGuard };
-    if (watch) {
-      await runWatch(inputArg, outputArg, options);
-    } else {
-      await compileOnce(inputArg, outputArg, options);
+    if (command === 'check') {
+      process.exit(await runCheck(args.slice(1), reporting));
+    }
+    if (command === 'fmt') {
+      process.exit(await runFmt(args.slice(1), reporting));
+    }
+    if (command === 'from-css') {
+      process.exit(await runFromCss(args.slice(1), reporting));
+    }
+    if (command === 'migrate') {
+      process.exit(await runMigrate(args.slice(1), reporting));
+    }
+    if (command === 'lsp') {
+      process.exit(await startServer());
+    }
+    const exitCode = await runCompile(args, reporting);
+    if (exitCode !== 0) {
+      process.exit(exitCode);
     }
   } catch (error) {
-    reportError(error, 'run');
+    reportError(error, ['check', 'fmt', 'from-css', 'migrate'].includes(command) ? command : 'run', reporting);
     process.exit(1);
   }
 }
@@ -0,0 +1,370 @@
+import { BoaCompilerError } from './errors.js';
+
+export const COLOR_FUNCTIONS = ['lighten', 'darken', 'mix', 'alpha', 'rgba', 'contrast-color'];
+
+export function evaluateColors(text, location, colorVariables = new Map()) {
+  let output = '';
+  let index = 0;
+  const pattern = new RegExp(`(?<![a-zA-Z0-9_-])(${COLOR_FUNCTIONS.join('|')})\\(`, 'gi');
+  for (const match of text.matchAll(pattern)) {
+    if (match.index < index) {
+      continue;
+    }
+    const open = match.index + match[0].length - 1;
+    const close = closingParen(text, open);
+    if (close === -1) {
+      break;
+    }
+    const name = match[1].toLowerCase();
+    const inner = evaluateColors(text.slice(open + 1, close), location, colorVariables);
+    const result = callColorFunction(name, splitArguments(inner), location, colorVariables);
+    output += text.slice(index, match.index) + (result ?? `${match[1]}(${inner})`);
+    index = close + 1;
+  }
+  return output + text.slice(index);
+}
+
+export function parseColor(value) {
+  const text = value.trim().toLowerCase();
+  if (NAMED_COLORS[text]) {
+    return parseHex(NAMED_COLORS[text]);
+  }
+  if (text === 'transparent') {
+    return { r: 0, g: 0, b: 0, a: 0 };
+  }
+  if (text.startsWith('#')) {
+    return parseHex(text);
+  }
+  const call = text.match(/^(rgba?|hsla?)\(([^()]*)\)$/);
+  if (!call) {
+    return null;
+  }
+  const parts = call[2].trim().split(/\s*[,/]\s*|\s+/);
+  if (parts.length < 3 || parts.length > 4) {
+    return null;
+  }
+  const alpha = parts.length === 4 ? parseChannel(parts[3], 1) : 1;
+  if (call[1].startsWith('rgb')) {
+    const [r, g, b] = parts.slice(0, 3).map((part) => parseChannel(part, 255));
+    return [r, g, b, alpha].every(isFiniteNumber) ? { r, g, b, a: alpha } : null;
+  }
+  const hue = parts[0].match(/^(-?[\d.]+)(deg|turn|rad|grad)?$/);
+  const saturation = parseChannel(parts[1], 100);
+  const lightness = parseChannel(parts[2], 100);
+  if (!hue || ![saturation, lightness, alpha].every(isFiniteNumber)) {
+    return null;
+  }
+  const degrees = Number(hue[1]) * HUE_UNITS[hue[2] ?? 'deg'];
+  return { ...hslToRgb(degrees, saturation, lightness), a: alpha };
+}
+
+export function isKnownColor(value, colorVariables) {
+  const text = value.trim();
+  const variable = text.match(/^var\(--([a-zA-Z0-9_-]+)\)$/);
+  if (variable) {
+    return colorVariables.get(variable[1]) === true;
+  }
+  return parseColor(text) !== null || /^(?:(?:rgb|hsl|hwb|lab|lch|oklab|oklch|color)\(\s*from\s|color-mix\()/i.test(text);
+}
+
+export function formatColor({ r, g, b, a }) {
+  const channels = [r, g, b].map((channel) => Math.round(clamp(channel, 0, 255)));
+  if (a >= 1) {
+    return `#${channels.map((channel) => channel.toString(16).padStart(2, '0')).join('')}`;
+  }
+  return `rgb(${channels.join(' ')} / ${Number(clamp(a, 0, 1).toFixed(4))})`;
+}
+
+function callColorFunction(name, args, location, colorVariables) {
+  const invalid = (message) => new BoaCompilerError('invalid-arguments', `${name}() ${message}`, location);
+  const arity = ARITY[name];
+  if (args.length < arity[0] || args.length > arity[1]) {
+    if (name === 'alpha' || name === 'rgba') {
+      return null;
+    }
+    throw invalid(`expects ${arity[0] === arity[1] ? arity[0] : `${arity[0]} or ${arity[1]}`} argument${arity[1] > 1 ? 's' : ''}, got ${args.length}`);
+  }
+  if (name === 'rgba' && parseAmount(args[0]) !== null) {
+    return null;
+  }
+
+  const colors = args.slice(0, name === 'mix' ? 2 : 1).map((arg) => colorArgument(name, arg, location));
+  const amount = args.length > colors.length ? parseAmount(args[colors.length]) : null;
+  if (args.length > colors.length && amount === null) {
+    throw invalid(`expects a number or percentage as its last argument, got "${args[colors.length]}"`);
+  }
+  const runtime = colors.some((color) => color === null);
+
+  switch (name) {
+    case 'lighten':
+    case 'darken': {
+      const delta = name === 'lighten' ? amount.value : -amount.value;
+      if (runtime) {
+        return `hsl(from ${args[0]} h s calc(l ${delta < 0 ? '-' : '+'} ${Math.abs(delta)}))`;
+      }
+      const [h, s, l] = rgbToHsl(colors[0]);
+      return formatColor({ ...hslToRgb(h, s, clamp(l + delta, 0, 100)), a: colors[0].a });
+    }
+    case 'mix': {
+      const weight = amount ? clamp(amount.value, 0, 100) : 50;
+      if (runtime) {
+        return `color-mix(in oklch, ${args[0]}${amount ? ` ${formatNumber(weight)}%` : ''}, ${args[1]})`;
+      }
+      return formatColor(mixOklch(colors[0], colors[1], weight / 100));
+    }
+    case 'contrast-color':
+      if (runtime) {
+        return null;
+      }
+      return formatColor(contrastColor(colors[0]));
+    default: {
+      const alpha = amount.unit === '%' ? amount.value / 100 : amount.value;
+      if (runtime) {
+        return name === 'alpha' || isKnownColor(args[0], colorVariables) ? `rgb(from ${args[0]} r g b / ${formatNumber(alpha)})` : null;
+      }
+      return formatColor({ ...colors[0], a: clamp(alpha, 0, 1) });
+    }
+  }
+}
+
+function colorArgument(name, arg, location) {
+  const color = parseColor(arg);
+  if (color) {
+    return color;
+  }
+  if (/var\(|env\(|currentcolor|\bfrom\b|color-mix\(|contrast-color\(/i.test(arg)) {
+    return null;
+  }
+  throw new BoaCompilerError('invalid-color', `${name}() expects a color, got "${arg}"`, location);
+}
+
+function parseAmount(value) {
+  const match = value.trim().match(/^(-?(?:\d+(?:\.\d+)?|\.\d+))(%?)$/);
+  if (!match) {
+    return null;
+  }
+  return { value: Number(match[1]), unit: match[2] };
+}
+
+function parseHex(text) {
+  const digits = text.slice(1);
+  if (!/^[0-9a-f]+$/.test(digits) || ![3, 4, 6, 8].includes(digits.length)) {
+    return null;
+  }
+  const full = digits.length <= 4 ? [...digits].map((digit) => digit + digit).join('') : digits;
+  const [r, g, b, a = 255] = full.match(/../g).map((pair) => parseInt(pair, 16));
+  return { r, g, b, a: a / 255 };
+}
+
+function parseChannel(value, scale) {
+  const match = value.match(/^(-?(?:\d+(?:\.\d+)?|\.\d+))(%?)$/);
+  if (!match) {
+    return NaN;
+  }
+  const number = Number(match[1]);
+  if (scale === 1) {
+    return match[2] ? number / 100 : number;
+  }
+  return match[2] && scale !== 100 ? (number / 100) * scale : number;
+}
+
+function rgbToHsl({ r, g, b }) {
+  const [red, green, blue] = [r / 255, g / 255, b / 255];
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const lightness = (max + min) / 2;
+  const delta = max - min;
+  if (delta === 0) {
+    return [0, 0, lightness * 100];
+  }
+  const saturation = delta / (1 - Math.abs(2 * lightness - 1));
+  let hue;
+  if (max === red) {
+    hue = ((green - blue) / delta) % 6;
+  } else if (max === green) {
+    hue = (blue - red) / delta + 2;
+  } else {
+    hue = (red - green) / delta + 4;
+  }
+  return [(hue * 60 + 360) % 360, saturation * 100, lightness * 100];
+}
+
+function hslToRgb(hue, saturation, lightness) {
+  const s = clamp(saturation, 0, 100) / 100;
+  const l = clamp(lightness, 0, 100) / 100;
+  const h = ((hue % 360) + 360) % 360;
+  const channel = (n) => {
+    const k = (n + h / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    return 255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+  };
+  return { r: channel(0), g: channel(8), b: channel(4) };
+}
+
+function mixOklch(first, second, weight) {
+  const a = toOklch(first);
+  const b = toOklch(second);
+  if (a.chroma < ACHROMATIC) {
+    a.hue = b.hue;
+  }
+  if (b.chroma < ACHROMATIC) {
+    b.hue = a.hue;
+  }
+  let hueDelta = b.hue - a.hue;
+  if (hueDelta > 180) {
+    hueDelta -= 360;
+  } else if (hueDelta < -180) {
+    hueDelta += 360;
+  }
+  const alpha = first.a * weight + second.a * (1 - weight);
+  const premultiplied = (key) => (alpha === 0 ? 0 : (a[key] * first.a * weight + b[key] * second.a * (1 - weight)) / alpha);
+  return {
+    ...fromOklch(premultiplied('lightness'), premultiplied('chroma'), a.hue + hueDelta * (1 - weight)),
+    a: alpha,
+  };
+}
+
+function toOklch({ r, g, b }) {
+  const [red, green, blue] = [r, g, b].map((channel) => {
+    const value = channel / 255;
+    return value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  const l = Math.cbrt(0.4122214708 * red + 0.5363325363 * green + 0.0514459929 * blue);
+  const m = Math.cbrt(0.2119034982 * red + 0.6806995451 * green + 0.1073969566 * blue);
+  const s = Math.cbrt(0.0883024619 * red + 0.2817188376 * green + 0.6299787005 * blue);
+  const labA = 1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s;
+  const labB = 0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s;
+  return {
+    lightness: 0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+    chroma: Math.hypot(labA, labB),
+    hue: ((Math.atan2(labB, labA) * 180) / Math.PI + 360) % 360,
+  };
+}
+
+function fromOklch(lightness, chroma, hue) {
+  const radians = (hue * Math.PI) / 180;
+  const labA = chroma * Math.cos(radians);
+  const labB = chroma * Math.sin(radians);
+  const l = (lightness + 0.3963377774 * labA + 0.2158037573 * labB) ** 3;
+  const m = (lightness - 0.1055613458 * labA - 0.0638541728 * labB) ** 3;
+  const s = (lightness - 0.0894841775 * labA - 1.291485548 * labB) ** 3;
+  const [r, g, b] = [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s,
+  ].map((value) => {
+    const linear = clamp(value, 0, 1);
+    return 255 * (linear <= 0.0031308 ? linear * 12.92 : 1.055 * linear ** (1 / 2.4) - 0.055);
+  });
+  return { r, g, b };
+}
+
+function contrastColor(color) {
+  const [red, green, blue] = [color.r, color.g, color.b].map((channel) => {
+    const value = channel / 255;
+    return value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  const luminance = 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+  const white = 1.05 / (luminance + 0.05);
+  const black = (luminance + 0.05) / 0.05;
+  return white >= black ? { r: 255, g: 255, b: 255, a: 1 } : { r: 0, g: 0, b: 0, a: 1 };
+}
+
+function splitArguments(text) {
+  const args = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === quote) {
+        quote = null;
+      }
+    } else if (ch === '"' || ch === '\'') {
+      quote = ch;
+    } else if (ch === '(') {
+      depth += 1;
+    } else if (ch === ')') {
+      depth -= 1;
+    } else if (ch === ',' && depth === 0) {
+      args.push(text.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  const last = text.slice(start).trim();
+  return args.length > 0 || last ? [...args, last] : [];
+}
+
+function closingParen(text, open) {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    if (text[i] === '(') {
+      depth += 1;
+    } else if (text[i] === ')') {
+      depth -= 1;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+function formatNumber(value) {
+  return String(Number(value.toFixed(4)) || 0);
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function isFiniteNumber(value) {
+  return Number.isFinite(value);
+}
+
+const ACHROMATIC = 1e-4;
+
+const ARITY = {
+  lighten: [2, 2],
+  darken: [2, 2],
+  mix: [2, 3],
+  alpha: [2, 2],
+  rgba: [2, 2],
+  'contrast-color': [1, 1],
+};
+
+const HUE_UNITS = { deg: 1, turn: 360, rad: 180 / Math.PI, grad: 0.9 };
+
+const NAMED_COLORS = {
+  aliceblue: '#f0f8ff', antiquewhite: '#faebd7', aqua: '#00ffff', aquamarine: '#7fffd4', azure: '#f0ffff',
+  beige: '#f5f5dc', bisque: '#ffe4c4', black: '#000000', blanchedalmond: '#ffebcd', blue: '#0000ff',
+  blueviolet: '#8a2be2', brown: '#a52a2a', burlywood: '#deb887', cadetblue: '#5f9ea0', chartreuse: '#7fff00',
+  chocolate: '#d2691e', coral: '#ff7f50', cornflowerblue: '#6495ed', cornsilk: '#fff8dc', crimson: '#dc143c',
+  cyan: '#00ffff', darkblue: '#00008b', darkcyan: '#008b8b', darkgoldenrod: '#b8860b', darkgray: '#a9a9a9',
+  darkgreen: '#006400', darkgrey: '#a9a9a9', darkkhaki: '#bdb76b', darkmagenta: '#8b008b', darkolivegreen: '#556b2f',
+  darkorange: '#ff8c00', darkorchid: '#9932cc', darkred: '#8b0000', darksalmon: '#e9967a', darkseagreen: '#8fbc8f',
+  darkslateblue: '#483d8b', darkslategray: '#2f4f4f', darkslategrey: '#2f4f4f', darkturquoise: '#00ced1', darkviolet: '#9400d3',
+  deeppink: '#ff1493', deepskyblue: '#00bfff', dimgray: '#696969', dimgrey: '#696969', dodgerblue: '#1e90ff',
+  firebrick: '#b22222', floralwhite: '#fffaf0', forestgreen: '#228b22', fuchsia: '#ff00ff', gainsboro: '#dcdcdc',
+  ghostwhite: '#f8f8ff', gold: '#ffd700', goldenrod: '#daa520', gray: '#808080', green: '#008000',
+  greenyellow: '#adff2f', grey: '#808080', honeydew: '#f0fff0', hotpink: '#ff69b4', indianred: '#cd5c5c',
+  indigo: '#4b0082', ivory: '#fffff0', khaki: '#f0e68c', lavender: '#e6e6fa', lavenderblush: '#fff0f5',
+  lawngreen: '#7cfc00', lemonchiffon: '#fffacd', lightblue: '#add8e6', lightcoral: '#f08080', lightcyan: '#e0ffff',
+  lightgoldenrodyellow: '#fafad2', lightgray: '#d3d3d3', lightgreen: '#90ee90', lightgrey: '#d3d3d3', lightpink: '#ffb6c1',
+  lightsalmon: '#ffa07a', lightseagreen: '#20b2aa', lightskyblue: '#87cefa', lightslategray: '#778899', lightslategrey: '#778899',
+  lightsteelblue: '#b0c4de', lightyellow: '#ffffe0', lime: '#00ff00', limegreen: '#32cd32', linen: '#faf0e6',
+  magenta: '#ff00ff', maroon: '#800000', mediumaquamarine: '#66cdaa', mediumblue: '#0000cd', mediumorchid: '#ba55d3',
+  mediumpurple: '#9370db', mediumseagreen: '#3cb371', mediumslateblue: '#7b68ee', mediumspringgreen: '#00fa9a', mediumturquoise: '#48d1cc',
+  mediumvioletred: '#c71585', midnightblue: '#191970', mintcream: '#f5fffa', mistyrose: '#ffe4e1', moccasin: '#ffe4b5',
+  navajowhite: '#ffdead', navy: '#000080', oldlace: '#fdf5e6', olive: '#808000', olivedrab: '#6b8e23',
+  orange: '#ffa500', orangered: '#ff4500', orchid: '#da70d6', palegoldenrod: '#eee8aa', palegreen: '#98fb98',
+  paleturquoise: '#afeeee', palevioletred: '#db7093', papayawhip: '#ffefd5', peachpuff: '#ffdab9', peru: '#cd853f',
+  pink: '#ffc0cb', plum: '#dda0dd', powderblue: '#b0e0e6', purple: '#800080', rebeccapurple: '#663399',
+  red: '#ff0000', rosybrown: '#bc8f8f', royalblue: '#4169e1', saddlebrown: '#8b4513', salmon: '#fa8072',
+  sandybrown: '#f4a460', seagreen: '#2e8b57', seashell: '#fff5ee', sienna: '#a0522d', silver: '#c0c0c0',
+  skyblue: '#87ceeb', slateblue: '#6a5acd', slategray: '#708090', slategrey: '#708090', snow: '#fffafa',
+  springgreen: '#00ff7f', steelblue: '#4682b4', tan: '#d2b48c', teal: '#008080', thistle: '#d8bfd8',
+  tomato: '#ff6347', turquoise: '#40e0d0', violet: '#ee82ee', wheat: '#f5deb3', white: '#ffffff',
+  whitesmoke: '#f5f5f5', yellow: '#ffff00', yellowgreen: '#9acd32',
+};
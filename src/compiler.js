@@ -1,27 +1,318 @@
-export class SassCompilerError extends Error {
-  constructor(message, index) {
-    super(`${message} (at ${index})`);
-    this.name = 'SassCompilerError';
-    this.index = index;
+import { existsSync, readFileSync } from 'fs';
+import { basename, dirname, extname, join, relative, resolve, sep } from 'path';
+import { BoaCompilerError, createWarning, describeError, formatCodeFrame } from './errors.js';
+import { createSourceMap } from './sourcemap.js';
+import { evaluateColors, isKnownColor } from './colors.js';
+import { evaluateMath } from './math.js';
+import { optimizeCss } from './optimize.js';
+import { loadTokens } from './tokens.js';
+
+export {
+  BoaCompilerError,
+  ERROR_CODES,
+  formatCodeFrame,
+  formatError,
+  formatWarning,
+  WARNING_CODES,
+} from './errors.js';
+
+/** @deprecated Use BoaCompilerError. */
+export const SassCompilerError = BoaCompilerError;
+
+export function compile(source, options = {}) {
+  const filename = options.filename ? resolve(options.filename) : null;
+  return render(options, (compilation) => parseFile(source, filename, compilation, []));
+}
+
+export function parse(source, options = {}) {
+  const filename = options.filename ? resolve(options.filename) : null;
+  const compilation = createCompilation({ recover: options.recover });
+  try {
+    const ast = {
+      type: 'stylesheet',
+      source: filename,
+      children: parseSource(source, filename, compilation),
+    };
+    if (options.recover) {
+      ast.errors = compilation.errors.map((error) => locateError(error, compilation));
+    }
+    return ast;
+  } catch (error) {
+    throw locateError(error, compilation);
   }
 }
 
-export function compile(source, options = {}) {
+export function generate(ast, options = {}) {
+  const root = Array.isArray(ast) ? { source: null, children: ast } : ast;
+  const filename = options.filename ? resolve(options.filename) : root.source ?? null;
+  return render(options, (compilation) => {
+    const nodes = structuredClone(root.children);
+    compilation.chains.set(filename, []);
+    resolveImports(nodes, filename, compilation, [filename]);
+    return nodes;
+  });
+}
+
+export function print(ast, options = {}) {
+  return new Printer(options).print(Array.isArray(ast) ? ast : ast.children);
+}
+
+function createCompilation(options) {
+  return {
+    minify: options.minify ?? false,
+    recover: options.recover ?? false,
+    errors: [],
+    loadPaths: (options.loadPaths ?? []).map((path) => resolve(path)),
+    dependencies: new Set(),
+    used: new Set(),
+    sources: new Map(),
+    chains: new Map(),
+  };
+}
+
+function render(options, load) {
   const indent = options.indent ?? '  ';
   const rootSelector = options.rootSelector ?? ':root';
   const minify = options.minify ?? false;
   const hoverGuard = options.hoverGuard ?? true;
+  const target = options.target ?? 'nested';
+  if (target !== 'nested' && target !== 'flat') {
+    throw new Error(`Unknown target "${target}" (expected "nested" or "flat")`);
+  }
+  if (options.optimize && options.sourceMap) {
+    throw new BoaCompilerError('invalid-option', 'The optimize option cannot be combined with source maps');
+  }
 
-  const parser = new Parser(source, { minify });
-  const ast = parser.parseStylesheet();
+  const compilation = createCompilation(options);
+  let css;
+  let generator;
+  try {
+    const ast = [...loadOptionTokens(options.tokens, compilation), ...load(compilation)];
+    throwRecoveredErrors(compilation);
+    generator = new Generator(indent, rootSelector, {
+      minify,
+      hoverGuard,
+      target,
+      themes: options.themes,
+      aliases: optionAliases(options.aliases),
+      declaredVariables: collectVariableNames(ast),
+    });
+    css = generator.generate(ast);
+    if (options.optimize) {
+      css = optimizeCss(css, { minify, indent });
+    }
+  } catch (error) {
+    throw locateError(error, compilation);
+  }
+  if (!options.sourceMap && !options.details) {
+    return css;
+  }
+  return {
+    css,
+    map: options.sourceMap ? buildSourceMap(generator.mappings(), compilation.sources, options) : null,
+    warnings: generator.warnings,
+    dependencies: [...compilation.dependencies],
+    constants: Object.fromEntries(generator.constantStack[0]),
+  };
+}
 
-  const generator = new Generator(indent, rootSelector, { minify, hoverGuard });
-  return generator.generate(ast);
+function collectVariableNames(nodes, names = new Set()) {
+  for (const node of nodes) {
+    if (node.type === 'variable') {
+      names.add(node.name);
+    }
+    if (node.children) {
+      collectVariableNames(node.children, names);
+    }
+    if (node.alternate) {
+      collectVariableNames([node.alternate], names);
+    }
+  }
+  return names;
+}
+
+function buildSourceMap(segments, sourceTexts, options) {
+  const mapDir = options.outFile ? dirname(resolve(options.outFile)) : process.cwd();
+  const files = [...new Set([...sourceTexts.keys(), ...segments.map((segment) => segment.source)])];
+  const sources = files.map((file) => (file ? relative(mapDir, file).split(sep).join('/') : '<stdin>'));
+  const sourcesContent = files.map((file) => sourceTexts.get(file) ?? null);
+  return createSourceMap({
+    file: options.outFile ? basename(options.outFile) : undefined,
+    sources,
+    sourcesContent,
+    segments: segments.map((segment) => ({ ...segment, sourceIndex: files.indexOf(segment.source) })),
+  });
+}
+
+function parseFile(source, filename, compilation, chain) {
+  compilation.chains.set(filename, chain);
+  const ast = parseSource(source, filename, compilation);
+  resolveImports(ast, filename, compilation, [...chain, filename]);
+  return ast;
+}
+
+function parseSource(source, filename, compilation) {
+  compilation.sources.set(filename, source);
+  const parser = new Parser(source, { minify: compilation.minify, source: filename, recover: compilation.recover });
+  const locate = (error) => {
+    if (error instanceof BoaCompilerError && error.line === null && error.index !== null) {
+      Object.assign(error, positionAt(parser.lines, error.index));
+      error.filename = filename;
+    }
+    return error;
+  };
+  let ast;
+  try {
+    ast = parser.parseStylesheet();
+  } catch (error) {
+    throw locate(error);
+  }
+  compilation.errors.push(...parser.errors.map(locate));
+  return ast;
+}
+
+function optionAliases(aliases) {
+  return Object.entries(aliases ?? {}).map(([signature, expansion]) => {
+    const alias = parseAlias(`${signature} ${expansion}`);
+    if (!alias) {
+      throw new Error(`Invalid alias "${signature}" (expected ":name" or ":name($param, ...)" mapped to a selector)`);
+    }
+    return alias;
+  });
+}
+
+function loadOptionTokens(tokens, compilation) {
+  if (tokens === undefined || tokens === null) {
+    return [];
+  }
+  return [].concat(tokens).map((source) => {
+    const { path, const: constant = false } = typeof source === 'string' ? { path: source } : source;
+    const file = resolve(path);
+    if (!existsSync(file)) {
+      throw new BoaCompilerError('import-not-found', `Cannot find tokens file "${path}"`);
+    }
+    compilation.dependencies.add(file);
+    const node = { type: 'tokens', target: path, constant };
+    node.children = tokenVariables(file, node);
+    return node;
+  });
+}
+
+function tokenVariables(path, node) {
+  return loadTokens(path, node.constant, node).map((token) => ({
+    type: 'variable',
+    name: token.name,
+    value: token.value,
+    constant: token.constant,
+    ...(token.description ? { comment: { kind: 'block', text: token.description.replace(/\*\//g, '* /') } } : {}),
+    ...(node.line !== undefined ? { source: node.source, line: node.line, column: node.column } : {}),
+  }));
+}
+
+function resolveImports(nodes, filename, compilation, chain) {
+  for (const node of nodes) {
+    if (node.type === 'tokens') {
+      const path = [filename ? dirname(filename) : process.cwd(), ...compilation.loadPaths]
+        .map((dir) => resolve(dir, node.target))
+        .find((candidate) => existsSync(candidate));
+      if (!path) {
+        throw new BoaCompilerError('import-not-found', `Cannot find tokens file "${node.target}"`, node);
+      }
+      compilation.dependencies.add(path);
+      node.children = tokenVariables(path, node);
+      continue;
+    }
+    if (node.type === 'import') {
+      node.children = [];
+      for (const target of node.targets) {
+        const candidates = importCandidates(target, filename, compilation.loadPaths);
+        const path = candidates.find((candidate) => existsSync(candidate));
+        if (!path) {
+          candidates.forEach((candidate) => compilation.dependencies.add(candidate));
+          throw new BoaCompilerError('import-not-found', `Cannot find stylesheet "${target}" to import`, node);
+        }
+        if (chain.includes(path)) {
+          const cycle = [...chain.slice(chain.indexOf(path)), path].map(displayPath).join(' -> ');
+          throw new BoaCompilerError('circular-import', `Circular import: ${cycle}`, node);
+        }
+        compilation.dependencies.add(path);
+        if (node.kind === 'use') {
+          if (compilation.used.has(path)) {
+            continue;
+          }
+          compilation.used.add(path);
+        }
+        const imported = parseFile(readFileSync(path, 'utf8'), path, compilation, chain);
+        node.children.push(...imported);
+      }
+      continue;
+    }
+    if (node.children) {
+      resolveImports(node.children, filename, compilation, chain);
+    }
+  }
+}
+
+function importCandidates(target, filename, loadPaths) {
+  const baseDirs = [filename ? dirname(filename) : process.cwd(), ...loadPaths];
+  const ext = extname(target);
+  const dir = dirname(target);
+  const base = basename(target, ext);
+  const candidates = ext === '.boa'
+    ? [target, join(dir, `_${base}.boa`)]
+    : [`${target}.boa`, join(dir, `_${base}.boa`), join(target, 'index.boa'), join(target, '_index.boa')];
+  return baseDirs.flatMap((baseDir) => candidates.map((candidate) => resolve(baseDir, candidate)));
+}
+
+function positionAt(lines, index) {
+  let start = 0;
+  for (let i = 0; i < lines.length; i++) {
+    const end = start + lines[i].length + 1;
+    if (index < end) {
+      return { line: i + 1, column: index - start + 1 };
+    }
+    start = end;
+  }
+  return { line: lines.length, column: 1 };
+}
+
+function throwRecoveredErrors(compilation) {
+  if (compilation.errors.length > 0) {
+    const [error] = compilation.errors;
+    error.errors = compilation.errors;
+    throw error;
+  }
+}
+
+function locateError(error, compilation) {
+  if (!(error instanceof BoaCompilerError)) {
+    return error;
+  }
+  for (const other of error.errors.slice(1)) {
+    locateError(other, compilation);
+  }
+  error.dependencies = [...compilation.dependencies];
+  const source = compilation.sources.get(error.filename);
+  const chain = compilation.chains.get(error.filename) ?? [];
+  error.importChain = chain.filter(Boolean).reverse();
+  if (source !== undefined && error.line !== null) {
+    error.source = source;
+    error.frame = formatCodeFrame(source, error.line, error.column);
+  }
+  error.message = describeError(error, displayPath);
+  return error;
+}
+
+function displayPath(path) {
+  return relative(process.cwd(), path) || path;
 }
 
 class Parser {
   constructor(rawInput, settings = {}) {
     this.minify = settings.minify ?? false;
+    this.source = settings.source ?? null;
+    this.recover = settings.recover ?? false;
+    this.errors = [];
     const normalized = rawInput.replace(/\r\n?/g, '\n');
     const prepared = this.minify ? stripComments(normalized) : normalized;
     this.lines = prepared.split('\n');
@@ -42,74 +333,109 @@ class Parser {
         continue;
       }
 
-      const { indent, style } = countIndent(line, offset, indentWidth, this.indentStyle);
-
-      if (style && indent > 0) {
-        if (this.indentStyle === null) {
-          this.indentStyle = style;
-        } else if (this.indentStyle !== style) {
-          throw new SassCompilerError('Indentation mixes tabs and spaces', offset);
+      const startIndex = lineIndex;
+      let consumedLength = line.length + 1;
+      try {
+        const { indent, style } = countIndent(line, offset, indentWidth, this.indentStyle);
+
+        if (style && indent > 0) {
+          if (this.indentStyle === null) {
+            this.indentStyle = style;
+          } else if (this.indentStyle !== style) {
+            throw new BoaCompilerError('mixed-indentation', 'Indentation mixes tabs and spaces', offset);
+          }
         }
-      }
-
-      if (indentWidth !== null && indent > 0 && indent % indentWidth !== 0) {
-        throw new SassCompilerError('Indentation is not a multiple of the base indent', offset);
-      }
-
-      while (stack.length > 1 && indent < stack[stack.length - 1].indent) {
-        stack.pop();
-      }
 
-      let current = stack[stack.length - 1];
-      if (indent > current.indent) {
-        if (!canNest(current.lastNode)) {
-          throw new SassCompilerError('Unexpected indentation', offset);
+        if (indentWidth !== null && indent > 0 && indent % indentWidth !== 0) {
+          throw new BoaCompilerError('uneven-indentation', 'Indentation is not a multiple of the base indent', offset);
         }
-        if (indentWidth === null) {
-          indentWidth = indent - current.indent;
+
+        while (stack.length > 1 && indent < stack[stack.length - 1].indent) {
+          stack.pop();
         }
-        const expectedIndent = current.indent + indentWidth;
-        if (indent !== expectedIndent) {
-          throw new SassCompilerError('Indentation jump must increase by one level', offset);
+
+        let current = stack[stack.length - 1];
+        if (indent > current.indent) {
+          if (!canNest(current.lastNode)) {
+            throw new BoaCompilerError('unexpected-indentation', 'Unexpected indentation', offset);
+          }
+          if (indentWidth === null) {
+            indentWidth = indent - current.indent;
+          }
+          const expectedIndent = current.indent + indentWidth;
+          if (indent !== expectedIndent) {
+            throw new BoaCompilerError('indentation-jump', 'Indentation jump must increase by one level', offset);
+          }
+          const blockNode = current.lastNode;
+          stack.push(createContext(indent, blockNode.children));
+          current = stack[stack.length - 1];
+        } else if (indent !== current.indent) {
+          throw new BoaCompilerError('unclosed-block', 'Indented block not properly closed', offset);
         }
-        const blockNode = current.lastNode;
-        stack.push(createContext(indent, blockNode.children));
-        current = stack[stack.length - 1];
-      } else if (indent !== current.indent) {
-        throw new SassCompilerError('Indented block not properly closed', offset);
-      }
 
-      let content = trimmed;
-      let consumedLength = line.length + 1;
+        let content = trimmed;
+        const position = {
+          line: lineIndex + 1,
+          column: line.length - line.trimStart().length + 1,
+        };
 
-      while (content.endsWith(',') && lineIndex + 1 < this.lines.length) {
-        const nextLine = this.lines[lineIndex + 1];
-        const nextTrimmed = nextLine.trim();
-        if (nextTrimmed.length === 0) {
-          break;
+        while (content.endsWith(',') && lineIndex + 1 < this.lines.length) {
+          const nextLine = this.lines[lineIndex + 1];
+          const nextTrimmed = nextLine.trim();
+          if (nextTrimmed.length === 0) {
+            break;
+          }
+          const nextOffset = offset + consumedLength;
+          const { indent: nextIndent, style: nextStyle } = countIndent(nextLine, nextOffset, indentWidth, this.indentStyle ?? style);
+          if (nextStyle && indent > 0) {
+            const globalStyle = this.indentStyle ?? style;
+            if (globalStyle === null) {
+              this.indentStyle = nextStyle;
+            } else if (globalStyle !== nextStyle) {
+              throw new BoaCompilerError('mixed-indentation', 'Indentation mixes tabs and spaces', nextOffset);
+            }
+          }
+          if (nextIndent !== indent) {
+            break;
+          }
+          content = `${content.slice(0, -1).trimEnd()}, ${nextTrimmed}`;
+          consumedLength += nextLine.length + 1;
+          lineIndex += 1;
         }
-        const nextOffset = offset + consumedLength;
-        const { indent: nextIndent, style: nextStyle } = countIndent(nextLine, nextOffset, indentWidth, this.indentStyle ?? style);
-        if (nextStyle && indent > 0) {
-          const globalStyle = this.indentStyle ?? style;
-          if (globalStyle === null) {
-            this.indentStyle = nextStyle;
-          } else if (globalStyle !== nextStyle) {
-            throw new SassCompilerError('Indentation mixes tabs and spaces', nextOffset);
+
+        const node = this.parseLine(content, offset + position.column - 1);
+        if (node) {
+          node.source = this.source;
+          node.line = position.line;
+          node.column = position.column;
+        }
+        if (node && node.type === 'else') {
+          const previous = current.lastNode;
+          if (!previous || !(previous.type === 'if' || (previous.type === 'else' && previous.condition !== null))) {
+            throw new BoaCompilerError('invalid-directive', '@else must follow an @if or @else if block', offset);
           }
+          previous.alternate = node;
+          current.lastNode = node;
+        } else if (node) {
+          current.nodes.push(node);
+          current.lastNode = node;
         }
-        if (nextIndent !== indent) {
-          break;
+      } catch (error) {
+        if (!this.recover || !(error instanceof BoaCompilerError)) {
+          throw error;
+        }
+        this.errors.push(error);
+        const failedIndent = line.length - line.trimStart().length;
+        lineIndex = startIndex;
+        consumedLength = line.length + 1;
+        while (lineIndex + 1 < this.lines.length) {
+          const next = this.lines[lineIndex + 1];
+          if (next.trim().length > 0 && next.length - next.trimStart().length <= failedIndent) {
+            break;
+          }
+          consumedLength += next.length + 1;
+          lineIndex += 1;
         }
-        content = `${content.slice(0, -1).trimEnd()}, ${nextTrimmed}`;
-        consumedLength += nextLine.length + 1;
-        lineIndex += 1;
-      }
-
-      const node = this.parseLine(content, offset);
-      if (node) {
-        current.nodes.push(node);
-        current.lastNode = node;
       }
 
       offset += consumedLength;
@@ -144,11 +470,11 @@ class Parser {
     if (content.startsWith('$')) {
       const colonIndex = content.indexOf(':');
       if (colonIndex === -1) {
-        throw new SassCompilerError('Expected ":" after variable name', index);
+        throw new BoaCompilerError('invalid-variable', 'Expected ":" after variable name', index);
       }
       const name = content.slice(1, colonIndex).trim();
       if (!name) {
-        throw new SassCompilerError('Variable name cannot be empty', index);
+        throw new BoaCompilerError('invalid-variable', 'Variable name cannot be empty', index);
       }
       let rawValue = content.slice(colonIndex + 1).trim();
       let constant = false;
@@ -157,12 +483,19 @@ class Parser {
         constant = true;
         rawValue = rawValue.slice(0, constMatch.index).trim();
       }
+      const { value, variants } = splitThemeVariants(rawValue);
+      if (constant && variants.length > 0) {
+        throw new BoaCompilerError('invalid-variable', `Constant $${name} cannot have theme variants`, index);
+      }
       const node = {
         type: 'variable',
         name,
-        value: rawValue,
+        value,
         constant,
       };
+      if (variants.length > 0) {
+        node.variants = variants;
+      }
       if (comment) {
         node.comment = comment;
       }
@@ -174,6 +507,111 @@ class Parser {
       const match = rest.match(/^([a-zA-Z0-9_-]+)([\s\S]*)$/);
       const name = match ? match[1] : '';
       const params = match ? match[2].trim() : '';
+      if (name === 'mixin' || name === 'function' || name === 'include' || name === 'content') {
+        const node = this.parseMixinDirective(name, params, index);
+        if (comment) {
+          node.comment = comment;
+        }
+        return node;
+      }
+      if (name === 'return') {
+        if (!params) {
+          throw new BoaCompilerError('invalid-directive', '@return requires a value', index);
+        }
+        const node = {
+          type: 'return',
+          value: params,
+        };
+        if (comment) {
+          node.comment = comment;
+        }
+        return node;
+      }
+      if (CONTROL_DIRECTIVES.has(name)) {
+        const node = this.parseControlDirective(name, params, index);
+        if (comment) {
+          node.comment = comment;
+        }
+        return node;
+      }
+      if (name === 'use' || name === 'import') {
+        const targets = parseImportTargets(name, params);
+        if (targets) {
+          const node = {
+            type: 'import',
+            kind: name,
+            targets,
+          };
+          if (comment) {
+            node.comment = comment;
+          }
+          return node;
+        }
+        if (name === 'use') {
+          throw new BoaCompilerError('invalid-directive', `Invalid @use target "${params}"`, index);
+        }
+      }
+      if (name === 'breakpoints') {
+        const entries = splitSelectors(params).map((entry) => entry.trim().match(/^([a-zA-Z][a-zA-Z0-9_-]*)\s*:\s*(\S[\s\S]*)$/));
+        if (entries.length === 0 || entries.some((entry) => !entry)) {
+          throw new BoaCompilerError('invalid-directive', `Expected "@breakpoints name: value, ...", found "@breakpoints${params ? ` ${params}` : ''}"`, index);
+        }
+        const reserved = entries.find((entry) => MEDIA_TYPES.has(entry[1].toLowerCase()));
+        if (reserved) {
+          throw new BoaCompilerError('invalid-directive', `"${reserved[1]}" is a media type and cannot be used as a breakpoint name`, index);
+        }
+        const node = {
+          type: 'breakpoints',
+          breakpoints: entries.map((entry) => ({ name: entry[1], value: entry[2].trim() })),
+        };
+        if (comment) {
+          node.comment = comment;
+        }
+        return node;
+      }
+      if (name === 'alias') {
+        const alias = parseAlias(params);
+        if (!alias) {
+          throw new BoaCompilerError('invalid-directive', `Expected "@alias :name <selector>" or "@alias :name($param, ...) <selector>", found "@alias${params ? ` ${params}` : ''}"`, index);
+        }
+        const node = { type: 'alias', ...alias };
+        if (comment) {
+          node.comment = comment;
+        }
+        return node;
+      }
+      if (name === 'theme') {
+        if (!/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(params)) {
+          throw new BoaCompilerError('invalid-directive', `Expected "@theme <name>", found "@theme${params ? ` ${params}` : ''}"`, index);
+        }
+        const node = {
+          type: 'theme',
+          name: params,
+          children: [],
+        };
+        if (comment) {
+          node.comment = comment;
+        }
+        return node;
+      }
+      if (name === 'tokens') {
+        const tokens = params.match(/^(['"])(.+?)\1(?:\s+!const(?:\s*\(([^)]*)\))?)?$/);
+        if (!tokens) {
+          throw new BoaCompilerError('invalid-directive', `Expected "@tokens 'file.json'" optionally followed by !const or !const(type, ...), found "${params}"`, index);
+        }
+        const constant = tokens[3] !== undefined
+          ? tokens[3].split(',').map((type) => type.trim()).filter((type) => type.length > 0)
+          : params.endsWith('!const');
+        const node = {
+          type: 'tokens',
+          target: tokens[2],
+          constant,
+        };
+        if (comment) {
+          node.comment = comment;
+        }
+        return node;
+      }
       const node = {
         type: 'at-rule',
         name,
@@ -191,10 +629,10 @@ class Parser {
       const property = content.slice(0, colonIndex).trim();
       const value = content.slice(colonIndex + 1).trim();
       if (!property) {
-        throw new SassCompilerError('Declaration missing property name', index);
+        throw new BoaCompilerError('invalid-declaration', 'Declaration missing property name', index);
       }
       if (!value) {
-        throw new SassCompilerError('Declaration missing value', index);
+        throw new BoaCompilerError('invalid-declaration', 'Declaration missing value', index);
       }
       const node = {
         type: 'declaration',
@@ -217,6 +655,99 @@ class Parser {
     }
     return node;
   }
+
+  parseControlDirective(name, params, index) {
+    if (name === 'if' || name === 'else') {
+      let condition = params;
+      if (name === 'else') {
+        const elseIf = params.match(/^if(?:\s+([\s\S]*))?$/);
+        if (params && !elseIf) {
+          throw new BoaCompilerError('invalid-directive', `Unexpected "${params}" after @else`, index);
+        }
+        condition = elseIf ? (elseIf[1] ?? '').trim() : null;
+      }
+      if (condition === '') {
+        throw new BoaCompilerError('invalid-directive', `@${name === 'else' ? 'else if' : 'if'} requires a condition`, index);
+      }
+      return {
+        type: name,
+        condition,
+        alternate: null,
+        children: [],
+      };
+    }
+
+    if (name === 'each') {
+      const match = params.match(/^(\$[a-zA-Z0-9_-]+(?:\s*,\s*\$[a-zA-Z0-9_-]+)*)\s+in\s+([\s\S]+)$/);
+      if (!match) {
+        throw new BoaCompilerError('invalid-directive', 'Expected "@each $item in <list>"', index);
+      }
+      return {
+        type: 'each',
+        variables: match[1].split(',').map((variable) => variable.trim().slice(1)),
+        list: match[2].trim(),
+        children: [],
+      };
+    }
+
+    const match = params.match(/^\$([a-zA-Z0-9_-]+)\s+from\s+([\s\S]+?)\s+(through|to)\s+([\s\S]+)$/);
+    if (!match) {
+      throw new BoaCompilerError('invalid-directive', 'Expected "@for $i from <start> through|to <end>"', index);
+    }
+    return {
+      type: 'for',
+      variable: match[1],
+      from: match[2].trim(),
+      to: match[4].trim(),
+      inclusive: match[3] === 'through',
+      children: [],
+    };
+  }
+
+  parseMixinDirective(name, params, index) {
+    if (name === 'content') {
+      if (params) {
+        throw new BoaCompilerError('invalid-directive', '@content does not take arguments', index);
+      }
+      return {
+        type: 'content',
+      };
+    }
+
+    const call = params.match(/^([a-zA-Z_][a-zA-Z0-9_-]*)\s*(?:\(([\s\S]*)\))?$/);
+    if (!call) {
+      throw new BoaCompilerError('invalid-directive', `Invalid @${name} signature "${params}"`, index);
+    }
+    const [, mixinName, rawArgs = ''] = call;
+    const args = splitSelectors(rawArgs).map((arg) => arg.trim()).filter((arg) => arg.length > 0);
+
+    if (name === 'include') {
+      return {
+        type: 'include',
+        name: mixinName,
+        args: args.map((arg) => parseArgument(arg)),
+        children: [],
+      };
+    }
+
+    const parameters = args.map((arg) => {
+      const parameter = parseArgument(arg);
+      if (parameter.name) {
+        return { name: parameter.name, defaultValue: parameter.value };
+      }
+      const bare = arg.match(/^\$([a-zA-Z0-9_-]+)$/);
+      if (!bare) {
+        throw new BoaCompilerError('invalid-directive', `${name === 'function' ? 'Function' : 'Mixin'} parameter "${arg}" must start with $`, index);
+      }
+      return { name: bare[1], defaultValue: null };
+    });
+    return {
+      type: name,
+      name: mixinName,
+      parameters,
+      children: [],
+    };
+  }
 }
 
 class Generator {
@@ -227,164 +758,821 @@ class Generator {
     this.rootSelector = rootSelector;
     this.minify = settings.minify ?? false;
     this.hoverGuard = settings.hoverGuard ?? true;
+    this.flat = settings.target === 'flat';
+    this.flatEntries = [];
+    this.flatContext = createFlatContext([], null);
     this.constantStack = [new Map()];
+    this.mixinStack = [new Map()];
+    this.functionStack = [new Map()];
+    this.functionDepth = 0;
+    this.contentStack = [];
+    this.breakpoints = new Map();
+    this.aliases = new Map([...BUILTIN_ALIASES, ...(settings.aliases ?? [])].map((alias) => [alias.name, alias]));
+    this.themes = settings.themes ?? {};
+    this.themeVariables = new Map();
+    this.themedVariables = new Map();
+    this.rootVariables = new Set();
+    this.colorVariables = new Map();
+    this.declaredVariables = settings.declaredVariables ?? new Set();
+    this.declarationStack = [null];
+    this.currentNode = null;
+    this.warnings = [];
+    this.warningKeys = new Set();
+  }
+
+  generate(nodes) {
+    this.emitNodes(nodes, 0, []);
+    if (this.flat) {
+      this.flushFlatEntries();
+    }
+
+    this.checkThemeVariants();
+
+    const blocks = [];
+    if (this.globalVariables.length > 0) {
+      blocks.push(this.variableBlock(this.rootSelector, this.globalVariables));
+    }
+    for (const [theme, lines] of this.themeVariables) {
+      const { media, selector } = this.themeTargets(theme);
+      if (media) {
+        blocks.push(this.variableBlock(this.rootSelector, lines, media));
+      }
+      if (selector) {
+        blocks.push(this.variableBlock(selector, lines));
+      }
+    }
+
+    const chunks = [];
+    blocks.forEach((block, index) => {
+      chunks.push(...block);
+      if (!this.minify && (index < blocks.length - 1 || this.lines.length > 0)) {
+        chunks.push({ text: '', node: null });
+      }
+    });
+    chunks.push(...this.lines);
+    this.chunks = chunks;
+
+    const texts = chunks.map((chunk) => chunk.text);
+    if (this.minify) {
+      return texts.join('');
+    }
+
+    return texts.join('\n') + '\n';
+  }
+
+  variableBlock(selector, lines, media = null) {
+    if (this.minify) {
+      const block = [{ text: `${selector}{`, node: null }, ...lines, { text: '}', node: null }];
+      if (!media) {
+        return block;
+      }
+      const params = minifyAtRuleParams(media);
+      return [{ text: `@media${params.startsWith('(') ? '' : ' '}${params}{`, node: null }, ...block, { text: '}', node: null }];
+    }
+    const pad = media ? this.indent : '';
+    const block = [
+      { text: `${pad}${selector} {`, node: null },
+      ...lines.map((line) => ({ text: `${pad}${this.indent}${line.text}`, node: line.node })),
+      { text: `${pad}}`, node: null },
+    ];
+    return media ? [{ text: `@media ${media} {`, node: null }, ...block, { text: '}', node: null }] : block;
+  }
+
+  themeTargets(theme) {
+    return {
+      media: THEME_MEDIA[theme] ?? null,
+      selector: `[data-theme="${theme}"]`,
+      ...this.themes[theme],
+    };
+  }
+
+  checkThemeVariants() {
+    const themes = [...this.themeVariables.keys()];
+    for (const [name, entry] of this.themedVariables) {
+      if (!this.rootVariables.has(name)) {
+        this.warn('missing-theme-variant', `$${name} has a theme variant but no default value`, entry.node);
+      }
+      const missing = themes.filter((theme) => !entry.themes.has(theme));
+      if (missing.length > 0) {
+        const list = missing.map((theme) => `"${theme}"`).join(', ');
+        this.warn('missing-theme-variant', `$${name} has no variant for ${missing.length === 1 ? 'theme' : 'themes'} ${list}`, entry.node);
+      }
+    }
+  }
+
+  mappings() {
+    const segments = [];
+    let line = 0;
+    let column = 0;
+    for (const chunk of this.chunks) {
+      if (chunk.node && chunk.node.line !== undefined) {
+        const leading = this.minify ? 0 : chunk.text.length - chunk.text.trimStart().length;
+        segments.push({
+          generatedLine: line,
+          generatedColumn: column + leading,
+          source: chunk.node.source ?? null,
+          originalLine: chunk.node.line - 1,
+          originalColumn: chunk.node.column - 1,
+        });
+      }
+      if (this.minify) {
+        column += chunk.text.length;
+      } else {
+        line += 1;
+      }
+    }
+    return segments;
+  }
+
+  emit(text, node = null) {
+    this.lines.push({ text, node });
+  }
+
+  emitLine(text, node, depth) {
+    if (this.flat) {
+      this.addFlatItem({ text, node });
+      return;
+    }
+    const indent = this.minify ? '' : this.indent.repeat(depth);
+    this.emit(`${indent}${text}`, node);
+  }
+
+  emitNodes(nodes, depth, selectorStack) {
+    for (const node of nodes) {
+      this.currentNode = node;
+      switch (node.type) {
+        case 'declaration':
+          this.emitDeclaration(node, depth);
+          break;
+        case 'variable':
+          this.emitVariable(node, depth, selectorStack);
+          break;
+        case 'rule':
+          this.emitRule(node, depth, selectorStack);
+          break;
+        case 'at-rule':
+          this.emitAtRule(node, depth, selectorStack);
+          break;
+        case 'comment':
+          this.emitComment(node, depth);
+          break;
+        case 'import':
+        case 'tokens':
+          this.emitNodes(node.children ?? [], depth, selectorStack);
+          break;
+        case 'if':
+          this.emitIf(node, depth, selectorStack);
+          break;
+        case 'each':
+          this.emitEach(node, depth, selectorStack);
+          break;
+        case 'for':
+          this.emitFor(node, depth, selectorStack);
+          break;
+        case 'theme':
+          this.emitTheme(node, depth, selectorStack);
+          break;
+        case 'breakpoints':
+          this.defineBreakpoints(node, depth, selectorStack);
+          break;
+        case 'alias':
+          this.defineAlias(node, depth, selectorStack);
+          break;
+        case 'mixin':
+          this.defineMixin(node);
+          break;
+        case 'function':
+          this.defineFunction(node);
+          break;
+        case 'return':
+          throw new BoaCompilerError('invalid-directive', '@return is only allowed inside @function', node);
+        case 'include':
+          this.emitInclude(node, depth, selectorStack);
+          break;
+        case 'content':
+          this.emitContent(depth, selectorStack);
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  emitDeclaration(node, depth) {
+    const property = this.interpolate(node.property);
+    const valueRaw = this.substitute(node.value, SLASH_PROPERTIES.has(property.toLowerCase()) ? 'grouped' : 'always');
+    const value = this.minify ? minifyValue(valueRaw) : valueRaw;
+    this.trackDeclaration(property, value, node);
+    let line = `${property}${this.minify ? ':' : ': '}${value};`;
+    if (!this.minify && node.comment) {
+      line += ` ${renderComment(node.comment)}`;
+    }
+    this.emitLine(line, node, depth);
+  }
+
+  trackDeclaration(property, value, node) {
+    const block = this.declarationStack[this.declarationStack.length - 1];
+    if (!block) {
+      return;
+    }
+    const previous = block.seen.get(property);
+    const isFallback = block.last === property && previous !== value;
+    if (previous !== undefined && !isFallback) {
+      this.warn('duplicate-declaration', `Duplicate declaration of "${property}" in the same rule`, node);
+    }
+    block.seen.set(property, value);
+    block.last = property;
+  }
+
+  emitVariable(node, depth, selectorStack) {
+    if (node.constant) {
+      const resolved = this.substitute(node.value);
+      this.defineConstant(node.name, this.minify ? minifyValue(resolved) : resolved);
+      return;
+    }
+
+    const isGlobal = selectorStack.length === 0 && depth === 0;
+    if (node.variants) {
+      if (!isGlobal) {
+        throw new BoaCompilerError('invalid-variable', `Theme variants are only allowed on top-level variables, but $${node.name} is nested`, node);
+      }
+      for (const variant of node.variants) {
+        this.addThemeVariable(variant.theme, node, variant.value);
+      }
+      if (!node.value) {
+        return;
+      }
+    }
+
+    const line = this.variableLine(node.name, node.value, node.comment);
+    if (isGlobal) {
+      this.rootVariables.add(node.name);
+      this.globalVariables.push({ text: line, node });
+    } else if (this.flat && this.flatContext.selectors === null) {
+      const context = this.flatContext;
+      this.flatContext = createFlatContext(context.wrappers, [this.rootSelector]);
+      this.addFlatItem({ text: line, node });
+      this.flatContext = context;
+    } else {
+      this.emitLine(line, node, depth);
+    }
+  }
+
+  emitRule(node, depth, selectorStack, skipHoverGuard = false) {
+    if (this.flat) {
+      this.emitFlatRule(node, depth, selectorStack);
+      return;
+    }
+    const selector = this.normalizeSelector(this.interpolate(node.selector), selectorStack.length > 0);
+    const guardHover = this.hoverGuard && !skipHoverGuard && selector.includes(':hover');
+
+    if (guardHover) {
+      const indent = this.minify ? '' : this.indent.repeat(depth);
+      const mediaOpen = this.minify ? '@media(hover:hover){' : '@media (hover: hover) {';
+      this.emit(`${indent}${mediaOpen}`, node);
+      this.emitRule(node, depth + 1, selectorStack, true);
+      const closingIndent = this.minify ? '' : indent;
+      this.emit(`${closingIndent}}`);
+      return;
+    }
+
+    if (node.children.every((child) => child.type === 'comment')) {
+      this.warn('empty-rule', `Rule "${selector}" has no declarations`, node);
+    }
+
+    const indent = this.minify ? '' : this.indent.repeat(depth);
+    let line = `${indent}${selector}`;
+    if (!this.minify && node.comment) {
+      line += ` ${renderComment(node.comment)}`;
+    }
+    line += this.minify ? '{' : ' {';
+    this.emit(line, node);
+    this.pushScope();
+    this.declarationStack.push({ seen: new Map(), last: null });
+    this.emitNodes(node.children, depth + 1, [...selectorStack, selector]);
+    this.declarationStack.pop();
+    this.popScope();
+    const closingIndent = this.minify ? '' : indent;
+    this.emit(`${closingIndent}}`);
+  }
+
+  emitFlatRule(node, depth, selectorStack) {
+    const own = this.expandAliases(this.interpolate(node.selector).trim());
+    const selectors = resolveSelectors(own, this.flatContext.selectors);
+    if (node.children.every((child) => child.type === 'comment')) {
+      this.warn('empty-rule', `Rule "${selectors.join(', ')}" has no declarations`, node);
+    }
+
+    const wrappers = [...this.flatContext.wrappers];
+    if (this.hoverGuard && own.includes(':hover')) {
+      wrappers.push({ heading: this.minify ? '@media(hover:hover)' : '@media (hover: hover)', node });
+    }
+
+    const parentContext = this.flatContext;
+    this.flatContext = createFlatContext(wrappers, selectors, node);
+    this.pushScope();
+    this.declarationStack.push({ seen: new Map(), last: null });
+    this.emitNodes(node.children, depth + 1, [...selectorStack, selectors.join(', ')]);
+    this.declarationStack.pop();
+    this.popScope();
+    this.flatContext = parentContext;
+  }
+
+  emitFlatAtRule(node, depth, selectorStack) {
+    const context = this.flatContext;
+    if (!node.children || node.children.length === 0 || !HOISTABLE_AT_RULES.has(node.name)) {
+      const start = this.lines.length;
+      this.flat = false;
+      this.emitNestedAtRule(node, context.wrappers.length, []);
+      this.flat = true;
+      this.flatEntries.push({ wrappers: context.wrappers, raw: this.lines.splice(start) });
+      return;
+    }
+
+    const wrappers = [...context.wrappers, { heading: this.atRuleHeading(node), node }];
+    this.flatContext = createFlatContext(wrappers, context.selectors, context.node);
+    this.pushScope();
+    this.declarationStack.push(context.selectors ? { seen: new Map(), last: null } : null);
+    this.emitNodes(node.children, depth + 1, selectorStack);
+    this.declarationStack.pop();
+    this.popScope();
+    this.flatContext = context;
+  }
+
+  addFlatItem(item) {
+    const context = this.flatContext;
+    if (!context.entry || this.flatEntries[this.flatEntries.length - 1] !== context.entry) {
+      context.entry = {
+        wrappers: context.wrappers,
+        selectors: context.selectors,
+        node: context.node,
+        items: [],
+      };
+      this.flatEntries.push(context.entry);
+    }
+    context.entry.items.push(item);
+  }
+
+  flushFlatEntries() {
+    const indentFor = (depth) => (this.minify ? '' : this.indent.repeat(depth));
+    const open = this.minify ? '{' : ' {';
+    const opened = [];
+    const closeTo = (depth) => {
+      while (opened.length > depth) {
+        opened.pop();
+        this.emit(`${indentFor(opened.length)}}`);
+      }
+    };
+
+    for (const entry of this.flatEntries) {
+      let common = 0;
+      while (
+        common < opened.length
+        && common < entry.wrappers.length
+        && opened[common].heading === entry.wrappers[common].heading
+      ) {
+        common++;
+      }
+      closeTo(common);
+      while (opened.length < entry.wrappers.length) {
+        const wrapper = entry.wrappers[opened.length];
+        this.emit(`${indentFor(opened.length)}${wrapper.heading}${open}`, wrapper.node);
+        opened.push(wrapper);
+      }
+
+      if (entry.raw) {
+        this.lines.push(...entry.raw);
+        continue;
+      }
+
+      const depth = entry.wrappers.length;
+      if (!entry.selectors) {
+        for (const item of entry.items) {
+          this.emit(`${indentFor(depth)}${item.text}`, item.node);
+        }
+        continue;
+      }
+
+      let line = `${indentFor(depth)}${entry.selectors.join(this.minify ? ',' : ', ')}`;
+      if (!this.minify && entry.node && entry.node.comment && entry === this.firstEntryFor(entry.node)) {
+        line += ` ${renderComment(entry.node.comment)}`;
+      }
+      this.emit(`${line}${open}`, entry.node);
+      for (const item of entry.items) {
+        this.emit(`${indentFor(depth + 1)}${item.text}`, item.node);
+      }
+      this.emit(`${indentFor(depth)}}`);
+    }
+    closeTo(0);
+  }
+
+  firstEntryFor(node) {
+    return this.flatEntries.find((entry) => entry.node === node);
+  }
+
+  emitAtRule(node, depth, selectorStack) {
+    if (!KNOWN_AT_RULES.has(node.name) && !node.name.startsWith('-')) {
+      this.warn('unknown-at-rule', `Unknown at-rule "@${node.name}"`, node);
+    }
+    if (this.flat) {
+      this.emitFlatAtRule(node, depth, selectorStack);
+    } else {
+      this.emitNestedAtRule(node, depth, selectorStack);
+    }
+  }
+
+  atRuleHeading(node) {
+    let headingBase;
+    if (node.params) {
+      const substituted = this.expandBreakpoints(node, this.substitute(node.params));
+      if (this.minify) {
+        const params = minifyAtRuleParams(substituted);
+        const separator = params.length > 0 && !params.startsWith('(') ? ' ' : '';
+        headingBase = `@${node.name}${separator}${params}`;
+      } else {
+        headingBase = `@${node.name} ${substituted}`;
+      }
+    } else {
+      headingBase = `@${node.name}`;
+    }
+    return !this.minify && node.comment
+      ? `${headingBase} ${renderComment(node.comment)}`
+      : headingBase;
+  }
+
+  defineBreakpoints(node, depth, selectorStack) {
+    if (depth > 0 || selectorStack.length > 0) {
+      throw new BoaCompilerError('invalid-directive', '@breakpoints is only allowed at the top level', node);
+    }
+    for (const breakpoint of node.breakpoints) {
+      this.breakpoints.set(breakpoint.name, this.substitute(breakpoint.value));
+    }
+  }
+
+  expandBreakpoints(node, params) {
+    if (node.name !== 'media' && node.name !== 'container') {
+      return params;
+    }
+    const query = node.name === 'container' ? params.replace(/^([a-zA-Z][a-zA-Z0-9_-]*)\s*>\s*(?=[a-zA-Z.])/, '$1 ') : params;
+    let output = '';
+    let word = '';
+    let depth = 0;
+    let position = 0;
+    const flush = (functional) => {
+      if (word) {
+        output += functional ? word : this.expandBreakpointWord(node, word, position);
+        position += 1;
+        word = '';
+      }
+    };
+    for (const ch of query) {
+      if (depth === 0 && ch !== '(' && ch !== ',' && !/\s/.test(ch)) {
+        word += ch;
+        continue;
+      }
+      flush(ch === '(');
+      if (ch === '(') {
+        depth += 1;
+      } else if (ch === ')') {
+        depth -= 1;
+      } else if (ch === ',' && depth === 0) {
+        position = 0;
+      }
+      output += ch;
+    }
+    flush(false);
+    return output;
+  }
+
+  expandBreakpointWord(node, word, position) {
+    const lower = word.toLowerCase();
+    if (!BREAKPOINT_RANGE.test(word) || QUERY_KEYWORDS.has(lower) || (node.name === 'media' && MEDIA_TYPES.has(lower))) {
+      return word;
+    }
+    if (node.name === 'container' && position === 0 && !word.includes('..') && !this.breakpoints.has(word)) {
+      return word;
+    }
+    const [min, max] = word.split('..');
+    const width = (name) => {
+      if (!this.breakpoints.has(name)) {
+        const known = [...this.breakpoints.keys()];
+        const hint = known.length > 0 ? `known breakpoints: ${known.join(', ')}` : 'no @breakpoints have been declared';
+        throw new BoaCompilerError('undefined-breakpoint', `Unknown breakpoint "${name}" in @${node.name} (${hint})`, node);
+      }
+      return this.breakpoints.get(name);
+    };
+    if (min && max) {
+      return `(${width(min)} <= width < ${width(max)})`;
+    }
+    if (max) {
+      return `(width < ${width(max)})`;
+    }
+    return `(width >= ${width(min)})`;
+  }
+
+  emitNestedAtRule(node, depth, selectorStack) {
+    const indent = this.minify ? '' : this.indent.repeat(depth);
+    const heading = this.atRuleHeading(node);
+    if (node.children && node.children.length > 0) {
+      this.emit(`${indent}${heading}${this.minify ? '{' : ' {'}`, node);
+      this.pushScope();
+      this.declarationStack.push(selectorStack.length > 0 || node.name === 'font-face' ? { seen: new Map(), last: null } : null);
+      this.emitNodes(node.children, depth + 1, selectorStack);
+      this.declarationStack.pop();
+      this.popScope();
+      const closingIndent = this.minify ? '' : indent;
+      this.emit(`${closingIndent}}`);
+    } else {
+      this.emit(`${indent}${heading};`, node);
+    }
+  }
+
+  emitIf(node, depth, selectorStack) {
+    this.runIf(node, (children) => this.emitNodes(children, depth, selectorStack));
+  }
+
+  emitEach(node, depth, selectorStack) {
+    this.runEach(node, () => this.emitNodes(node.children, depth, selectorStack));
+  }
+
+  emitFor(node, depth, selectorStack) {
+    this.runFor(node, () => this.emitNodes(node.children, depth, selectorStack));
+  }
+
+  runIf(node, body) {
+    let branch = node;
+    while (branch && branch.condition !== null && !isTruthy(this.evaluateCondition(branch.condition, branch))) {
+      branch = branch.alternate;
+    }
+    if (!branch) {
+      return undefined;
+    }
+    this.pushScope();
+    const result = body(branch.children);
+    this.popScope();
+    return result;
+  }
+
+  runEach(node, body) {
+    const items = splitList(this.substitute(node.list));
+    for (const item of items) {
+      const values = node.variables.length > 1 ? splitList(item, true) : [item];
+      this.pushScope();
+      node.variables.forEach((name, position) => {
+        this.defineConstant(name, values[position] ?? 'null');
+      });
+      const result = body();
+      this.popScope();
+      if (result !== undefined) {
+        return result;
+      }
+    }
+    return undefined;
+  }
+
+  runFor(node, body) {
+    const from = this.resolveLoopBound(node.from, node);
+    const to = this.resolveLoopBound(node.to, node);
+    const step = from <= to ? 1 : -1;
+    const end = node.inclusive ? to + step : to;
+    if (Math.abs(end - from) > MAX_LOOP_ITERATIONS) {
+      throw new BoaCompilerError('limit-exceeded', `@for loop exceeds ${MAX_LOOP_ITERATIONS} iterations`, node);
+    }
+    for (let i = from; i !== end; i += step) {
+      this.pushScope();
+      this.defineConstant(node.variable, String(i));
+      const result = body();
+      this.popScope();
+      if (result !== undefined) {
+        return result;
+      }
+    }
+    return undefined;
+  }
+
+  resolveLoopBound(expression, node) {
+    const value = this.substitute(expression).trim();
+    if (!/^-?\d+$/.test(value)) {
+      throw new BoaCompilerError('invalid-expression', `@for bound "${value}" is not an integer`, node);
+    }
+    return Number(value);
+  }
+
+  evaluateCondition(condition, node) {
+    const disjuncts = splitKeyword(condition, 'or');
+    if (disjuncts.length > 1) {
+      return String(disjuncts.some((part) => isTruthy(this.evaluateCondition(part, node))));
+    }
+    const conjuncts = splitKeyword(condition, 'and');
+    if (conjuncts.length > 1) {
+      return String(conjuncts.every((part) => isTruthy(this.evaluateCondition(part, node))));
+    }
+    const trimmed = condition.trim();
+    const negated = trimmed.match(/^not\s+([\s\S]+)$/);
+    if (negated) {
+      return String(!isTruthy(this.evaluateCondition(negated[1], node)));
+    }
+    if (isParenthesized(trimmed)) {
+      return this.evaluateCondition(trimmed.slice(1, -1), node);
+    }
+    const comparison = trimmed.match(/^([\s\S]+?)\s*(==|!=|<=|>=|<|>)\s*([\s\S]+)$/);
+    if (!comparison) {
+      return this.substitute(trimmed).trim();
+    }
+    const left = this.substitute(comparison[1]).trim();
+    const right = this.substitute(comparison[3]).trim();
+    return String(compareValues(left, comparison[2], right, node));
   }
 
-  generate(nodes) {
-    this.emitNodes(nodes, 0, []);
+  emitInclude(node, depth, selectorStack) {
+    const mixin = this.lookupMixin(node.name);
+    if (!mixin) {
+      throw new BoaCompilerError('undefined-mixin', `Undefined mixin "${node.name}"`, node);
+    }
+    if (this.contentStack.length >= MAX_INCLUDE_DEPTH) {
+      throw new BoaCompilerError('limit-exceeded', `Mixin "${node.name}" exceeds the maximum include depth of ${MAX_INCLUDE_DEPTH}`, node);
+    }
 
-    const chunks = [];
+    const bindings = this.bindArguments(mixin, node.args, node);
+    this.contentStack.push({ children: node.children, scope: this.constantStack.length });
+    this.pushScope();
+    for (const [name, value] of bindings) {
+      this.defineConstant(name, value);
+    }
+    for (const parameter of mixin.parameters) {
+      if (!bindings.has(parameter.name)) {
+        const resolved = this.substitute(parameter.defaultValue);
+        this.defineConstant(parameter.name, this.minify ? minifyValue(resolved) : resolved);
+      }
+    }
+    this.emitNodes(mixin.children, depth, selectorStack);
+    this.popScope();
+    this.contentStack.pop();
+  }
 
-    if (this.globalVariables.length > 0) {
-      if (this.minify) {
-        chunks.push(`${this.rootSelector}{${this.globalVariables.join('')}}`);
-      } else {
-        chunks.push(`${this.rootSelector} {`);
-        for (const line of this.globalVariables) {
-          chunks.push(`${this.indent}${line}`);
+  bindArguments(definition, args, node) {
+    const label = definition.type === 'function' ? 'Function' : 'Mixin';
+    const bindings = new Map();
+    let position = 0;
+    for (const arg of args) {
+      let parameter;
+      if (arg.name) {
+        parameter = definition.parameters.find((candidate) => candidate.name === arg.name);
+        if (!parameter) {
+          throw new BoaCompilerError('invalid-arguments', `${label} "${definition.name}" has no parameter named $${arg.name}`, node);
         }
-        chunks.push('}');
-        if (this.lines.length > 0) {
-          chunks.push('');
+      } else {
+        parameter = definition.parameters[position];
+        position += 1;
+        if (!parameter) {
+          throw new BoaCompilerError('invalid-arguments', `${label} "${definition.name}" takes ${definition.parameters.length} argument(s) but more were given`, node);
         }
       }
+      if (bindings.has(parameter.name)) {
+        throw new BoaCompilerError('invalid-arguments', `Argument $${parameter.name} passed to ${label.toLowerCase()} "${definition.name}" more than once`, node);
+      }
+      const resolved = this.substitute(arg.value);
+      bindings.set(parameter.name, this.minify ? minifyValue(resolved) : resolved);
     }
 
-    chunks.push(...this.lines);
+    for (const parameter of definition.parameters) {
+      if (!bindings.has(parameter.name) && parameter.defaultValue === null) {
+        throw new BoaCompilerError('invalid-arguments', `Missing argument $${parameter.name} for ${label.toLowerCase()} "${definition.name}"`, node);
+      }
+    }
+    return bindings;
+  }
 
-    if (this.minify) {
-      return chunks.join('');
+  callFunction(definition, args) {
+    const caller = this.currentNode;
+    if (this.functionDepth >= MAX_INCLUDE_DEPTH) {
+      throw new BoaCompilerError('limit-exceeded', `Function "${definition.name}" exceeds the maximum call depth of ${MAX_INCLUDE_DEPTH}`, caller);
     }
 
-    return chunks.join('\n') + '\n';
+    const bindings = this.bindArguments(definition, args, caller);
+    this.functionDepth += 1;
+    this.pushScope();
+    const frame = this.constantStack.length - 1;
+    for (const [name, value] of bindings) {
+      this.defineConstant(name, value);
+    }
+    for (const parameter of definition.parameters) {
+      if (!bindings.has(parameter.name)) {
+        this.defineConstant(parameter.name, this.substitute(parameter.defaultValue));
+      }
+    }
+    const result = this.runFunctionBody(definition, definition.children, frame);
+    this.popScope();
+    this.functionDepth -= 1;
+    this.currentNode = caller;
+    if (result === undefined) {
+      throw new BoaCompilerError('invalid-directive', `Function "${definition.name}" finished without reaching @return`, caller);
+    }
+    return result;
   }
 
-  emitNodes(nodes, depth, selectorStack) {
+  runFunctionBody(definition, nodes, frame) {
     for (const node of nodes) {
+      this.currentNode = node;
+      let result;
       switch (node.type) {
-        case 'declaration':
-          this.emitDeclaration(node, depth);
+        case 'comment':
           break;
         case 'variable':
-          this.emitVariable(node, depth, selectorStack);
+          this.assignLocal(node.name, this.substitute(node.value), frame);
           break;
-        case 'rule':
-          this.emitRule(node, depth, selectorStack);
+        case 'return':
+          return this.substitute(node.value);
+        case 'if':
+          result = this.runIf(node, (children) => this.runFunctionBody(definition, children, frame));
           break;
-        case 'at-rule':
-          this.emitAtRule(node, depth, selectorStack);
+        case 'each':
+          result = this.runEach(node, () => this.runFunctionBody(definition, node.children, frame));
           break;
-        case 'comment':
-          this.emitComment(node, depth);
+        case 'for':
+          result = this.runFor(node, () => this.runFunctionBody(definition, node.children, frame));
           break;
         default:
-          break;
+          throw new BoaCompilerError('invalid-directive', `Function "${definition.name}" can only contain variables, @if, @each, @for and @return`, node);
+      }
+      if (result !== undefined) {
+        return result;
       }
     }
+    return undefined;
   }
 
-  emitDeclaration(node, depth) {
-    const indent = this.minify ? '' : this.indent.repeat(depth);
-    const valueRaw = this.substitute(node.value);
-    const value = this.minify ? minifyValue(valueRaw) : valueRaw;
-    let line = `${indent}${node.property}${this.minify ? ':' : ': '}${value};`;
-    if (!this.minify && node.comment) {
-      line += ` ${renderComment(node.comment)}`;
+  assignLocal(name, value, frame) {
+    for (let i = this.constantStack.length - 1; i >= frame; i--) {
+      if (this.constantStack[i].has(name)) {
+        this.constantStack[i].set(name, value);
+        return;
+      }
     }
-    this.lines.push(line);
+    this.constantStack[this.constantStack.length - 1].set(name, value);
   }
 
-  emitVariable(node, depth, selectorStack) {
-    if (node.constant) {
-      const resolved = this.substitute(node.value);
-      this.defineConstant(node.name, this.minify ? minifyValue(resolved) : resolved);
+  emitContent(depth, selectorStack) {
+    if (this.contentStack.length === 0) {
       return;
     }
+    const content = this.contentStack.pop();
+    const stacks = [this.constantStack, this.mixinStack, this.functionStack];
+    const mixinScopes = stacks.map((stack) => stack.splice(content.scope));
+    this.pushScope();
+    this.emitNodes(content.children, depth, selectorStack);
+    this.popScope();
+    stacks.forEach((stack, index) => stack.push(...mixinScopes[index]));
+    this.contentStack.push(content);
+  }
 
-    const valueRaw = this.substitute(node.value);
+  variableLine(name, rawValue, comment) {
+    const valueRaw = this.substitute(rawValue);
+    this.colorVariables.set(name, (this.colorVariables.get(name) ?? true) && isKnownColor(valueRaw, this.colorVariables));
     const value = this.minify ? minifyValue(valueRaw) : valueRaw;
-    let line = `--${node.name}${this.minify ? ':' : ': '}${value};`;
-    if (!this.minify && node.comment) {
-      line += ` ${renderComment(node.comment)}`;
-    }
-
-    if (selectorStack.length === 0 && depth === 0) {
-      this.globalVariables.push(line);
-    } else {
-      const indent = this.minify ? '' : this.indent.repeat(depth);
-      this.lines.push(`${indent}${line}`);
+    let line = `--${name}${this.minify ? ':' : ': '}${value};`;
+    if (!this.minify && comment) {
+      line += ` ${renderComment(comment)}`;
     }
+    return line;
   }
 
-  emitRule(node, depth, selectorStack, skipHoverGuard = false) {
-    const selector = this.normalizeSelector(node.selector, selectorStack.length > 0);
-    const guardHover = this.hoverGuard && !skipHoverGuard && selector.includes(':hover');
-
-    if (guardHover) {
-      const indent = this.minify ? '' : this.indent.repeat(depth);
-      const mediaOpen = this.minify ? '@media(hover:hover){' : '@media (hover: hover) {';
-      this.lines.push(`${indent}${mediaOpen}`);
-      this.emitRule(node, depth + 1, selectorStack, true);
-      const closingIndent = this.minify ? '' : indent;
-      this.lines.push(`${closingIndent}}`);
-      return;
+  emitTheme(node, depth, selectorStack) {
+    if (depth > 0 || selectorStack.length > 0) {
+      throw new BoaCompilerError('invalid-directive', '@theme is only allowed at the top level', node);
     }
-
-    const indent = this.minify ? '' : this.indent.repeat(depth);
-    let line = `${indent}${selector}`;
-    if (!this.minify && node.comment) {
-      line += ` ${renderComment(node.comment)}`;
+    for (const child of node.children) {
+      this.currentNode = child;
+      if (child.type === 'comment') {
+        continue;
+      }
+      if (child.type !== 'variable' || child.constant || child.variants) {
+        throw new BoaCompilerError('invalid-directive', `@theme ${node.name} can only contain variables without !const or theme variants`, child);
+      }
+      this.addThemeVariable(node.name, child, child.value, child.comment);
     }
-    line += this.minify ? '{' : ' {';
-    this.lines.push(line);
-    this.pushConstantScope();
-    this.emitNodes(node.children, depth + 1, [...selectorStack, selector]);
-    this.popConstantScope();
-    const closingIndent = this.minify ? '' : indent;
-    this.lines.push(`${closingIndent}}`);
   }
 
-  emitAtRule(node, depth, selectorStack) {
-    const indent = this.minify ? '' : this.indent.repeat(depth);
-    let headingBase;
-    if (node.params) {
-      const substituted = this.substitute(node.params);
-      if (this.minify) {
-        const params = minifyAtRuleParams(substituted);
-        const separator = params.length > 0 && !params.startsWith('(') ? ' ' : '';
-        headingBase = `@${node.name}${separator}${params}`;
-      } else {
-        headingBase = `@${node.name} ${substituted}`;
-      }
-    } else {
-      headingBase = `@${node.name}`;
+  addThemeVariable(theme, node, value, comment = null) {
+    if (!this.themeVariables.has(theme)) {
+      this.themeVariables.set(theme, []);
     }
-    const heading = !this.minify && node.comment
-      ? `${headingBase} ${renderComment(node.comment)}`
-      : headingBase;
-    if (node.children && node.children.length > 0) {
-      this.lines.push(`${indent}${heading}${this.minify ? '{' : ' {'}`);
-      this.pushConstantScope();
-      this.emitNodes(node.children, depth + 1, selectorStack);
-      this.popConstantScope();
-      const closingIndent = this.minify ? '' : indent;
-      this.lines.push(`${closingIndent}}`);
-    } else {
-      this.lines.push(`${indent}${heading};`);
+    this.themeVariables.get(theme).push({ text: this.variableLine(node.name, value, comment), node });
+    if (!this.themedVariables.has(node.name)) {
+      this.themedVariables.set(node.name, { node, themes: new Set() });
     }
+    this.themedVariables.get(node.name).themes.add(theme);
   }
 
   emitComment(node, depth) {
     if (this.minify) {
       return;
     }
-    const indent = this.indent.repeat(depth);
-    const rendered = renderComment(node.comment);
-    this.lines.push(`${indent}${rendered}`);
+    this.emitLine(renderComment(node.comment), node, depth);
   }
 
   normalizeSelector(selector, hasParent) {
-    const trimmed = expandPseudoAliases(selector.trim());
+    const trimmed = this.expandAliases(selector.trim());
     if (!hasParent) {
       if (!this.minify) {
         return trimmed;
@@ -398,7 +1586,7 @@ class Generator {
 
     const parts = splitSelectors(trimmed);
     const rewritten = parts.map((part) => {
-      const trimmedPart = expandPseudoAliases(part.trim());
+      const trimmedPart = part.trim();
       if (!trimmedPart) {
         return trimmedPart;
       }
@@ -414,19 +1602,105 @@ class Generator {
     return rewritten.join(this.minify ? ',' : ', ');
   }
 
-  pushConstantScope() {
+  defineAlias(node, depth, selectorStack) {
+    if (depth > 0 || selectorStack.length > 0) {
+      throw new BoaCompilerError('invalid-directive', '@alias is only allowed at the top level', node);
+    }
+    this.aliases.set(node.name, node);
+  }
+
+  expandAliases(selector, active = []) {
+    let output = '';
+    let index = 0;
+    for (const match of selector.matchAll(ALIAS_REFERENCE)) {
+      const alias = this.aliases.get(match[1]);
+      if (!alias || match.index < index) {
+        continue;
+      }
+      if (active.includes(alias.name)) {
+        throw new BoaCompilerError('invalid-alias', `Alias :${alias.name} refers to itself (${[...active, alias.name].map((name) => `:${name}`).join(' -> ')})`, this.currentNode);
+      }
+      let end = match.index + match[0].length;
+      let args = [];
+      if (selector[end] === '(') {
+        const close = findClosingParen(selector, end);
+        if (close === -1) {
+          throw new BoaCompilerError('invalid-alias', `Unclosed arguments for alias :${alias.name}`, this.currentNode);
+        }
+        args = splitSelectors(selector.slice(end + 1, close)).map((arg) => arg.trim());
+        end = close + 1;
+      }
+      if (args.length !== alias.parameters.length) {
+        const expected = alias.parameters.length === 0 ? 'no arguments' : `${alias.parameters.length} argument${alias.parameters.length === 1 ? '' : 's'}`;
+        throw new BoaCompilerError('invalid-alias', `Alias :${alias.name} expects ${expected}, got ${args.length}`, this.currentNode);
+      }
+      const expansion = alias.parameters.reduce(
+        (text, parameter, position) => text.replace(new RegExp(`#\\{\\$${parameter}\\}|\\$${parameter}(?![a-zA-Z0-9_-])`, 'g'), () => args[position]),
+        alias.expansion,
+      );
+      output += selector.slice(index, match.index) + this.expandAliases(expansion, [...active, alias.name]);
+      index = end;
+    }
+    return output + selector.slice(index);
+  }
+
+  pushScope() {
     this.constantStack.push(new Map());
+    this.mixinStack.push(new Map());
+    this.functionStack.push(new Map());
   }
 
-  popConstantScope() {
+  popScope() {
     this.constantStack.pop();
+    this.mixinStack.pop();
+    this.functionStack.pop();
   }
 
   defineConstant(name, value) {
     const scope = this.constantStack[this.constantStack.length - 1];
-    if (!scope.has(name)) {
-      scope.set(name, value);
+    if (scope.has(name)) {
+      this.warn('constant-redefined', `Constant $${name} is already defined in this scope; the new value is ignored`, this.currentNode);
+      return;
+    }
+    scope.set(name, value);
+  }
+
+  warn(kind, message, node) {
+    const warning = createWarning(kind, message, node ?? {});
+    const key = `${warning.code}|${warning.filename}|${warning.line}|${warning.column}|${message}`;
+    if (this.warningKeys.has(key)) {
+      return;
+    }
+    this.warningKeys.add(key);
+    this.warnings.push(warning);
+  }
+
+  defineMixin(node) {
+    this.mixinStack[this.mixinStack.length - 1].set(node.name, node);
+  }
+
+  lookupMixin(name) {
+    for (let i = this.mixinStack.length - 1; i >= 0; i--) {
+      const scope = this.mixinStack[i];
+      if (scope.has(name)) {
+        return scope.get(name);
+      }
+    }
+    return undefined;
+  }
+
+  defineFunction(node) {
+    this.functionStack[this.functionStack.length - 1].set(node.name, node);
+  }
+
+  lookupFunction(name) {
+    for (let i = this.functionStack.length - 1; i >= 0; i--) {
+      const scope = this.functionStack[i];
+      if (scope.has(name)) {
+        return scope.get(name);
+      }
     }
+    return undefined;
   }
 
   lookupConstant(name) {
@@ -439,20 +1713,185 @@ class Generator {
     return undefined;
   }
 
-  substitute(value) {
-    return value.replace(/\$([a-zA-Z0-9_-]+)/g, (_, name) => {
-      const constant = this.lookupConstant(name);
-      if (constant !== undefined) {
-        return constant;
+  interpolate(text) {
+    return text
+      .replace(/#\{([^}]*)\}/g, (_, expression) => this.substitute(expression.trim()))
+      .replace(/\$([a-zA-Z0-9_-]+)/g, (match, name) => this.lookupConstant(name) ?? match);
+  }
+
+  substitute(value, division = 'always') {
+    const interpolated = this.callFunctions(value.replace(/#\{([^}]*)\}/g, (_, expression) => this.substitute(expression.trim())));
+    const scope = {
+      lookup: (name) => this.lookupConstant(name),
+      reference: (name) => this.reference(name),
+    };
+    const resolved = evaluateMath(interpolated, scope, this.currentNode, division).replace(/\$([a-zA-Z0-9_-]+)/g, (_, name) => this.lookupConstant(name) ?? this.reference(name));
+    return evaluateColors(resolved, this.currentNode, this.colorVariables);
+  }
+
+  callFunctions(text) {
+    let output = '';
+    let index = 0;
+    for (const match of text.matchAll(/(?<![a-zA-Z0-9_$.#-])([a-zA-Z_][a-zA-Z0-9_-]*)\(/g)) {
+      const definition = match.index >= index ? this.lookupFunction(match[1]) : undefined;
+      const close = definition ? findClosingParen(text, match.index + match[0].length - 1) : -1;
+      if (close === -1) {
+        continue;
       }
-      return `var(--${name})`;
-    });
+      const args = splitSelectors(text.slice(match.index + match[0].length, close))
+        .map((arg) => arg.trim())
+        .filter((arg) => arg.length > 0)
+        .map((arg) => parseArgument(arg));
+      output += text.slice(index, match.index) + this.callFunction(definition, args);
+      index = close + 1;
+    }
+    return output + text.slice(index);
+  }
+
+  reference(name) {
+    if (!this.declaredVariables.has(name)) {
+      this.warn('undefined-variable', `$${name} is referenced but never defined`, this.currentNode);
+    }
+    return `var(--${name})`;
+  }
+}
+
+class Printer {
+  constructor(settings = {}) {
+    this.indent = settings.indent ?? '\t';
+    this.lines = [];
+  }
+
+  print(nodes) {
+    this.printNodes(nodes, 0);
+    return this.lines.length > 0 ? `${this.lines.join('\n')}\n` : '';
+  }
+
+  printNodes(nodes, depth) {
+    let previous = null;
+    for (const node of nodes) {
+      if (previous && needsBlankLine(previous, node)) {
+        this.lines.push('');
+      }
+      this.printNode(node, depth);
+      previous = node;
+    }
+  }
+
+  printNode(node, depth) {
+    const pad = this.indent.repeat(depth);
+    const lines = this.heading(node).split('\n');
+    if (node.comment && node.type !== 'comment') {
+      lines[lines.length - 1] += ` ${printComment(node.comment)}`;
+    }
+    for (const line of lines) {
+      this.lines.push(`${pad}${line}`);
+    }
+    if (node.children && node.type !== 'import' && node.type !== 'tokens') {
+      this.printNodes(node.children, depth + 1);
+    }
+    if (node.alternate) {
+      this.printNode(node.alternate, depth);
+    }
   }
+
+  heading(node) {
+    switch (node.type) {
+      case 'declaration':
+        return `${node.property}: ${node.value}`;
+      case 'variable': {
+        const values = [node.value, ...(node.variants ?? []).map((variant) => `${variant.theme}: ${variant.value}`)].filter(Boolean);
+        return `$${node.name}:${values.length > 0 ? ` ${values.join(', ')}` : ''}${node.constant ? ' !const' : ''}`;
+      }
+      case 'rule':
+        return splitSelectors(node.selector).map((selector) => selector.trim()).join(',\n');
+      case 'at-rule':
+        return node.params ? `@${node.name} ${node.params}` : `@${node.name}`;
+      case 'comment':
+        return printComment(node.comment);
+      case 'import':
+        return `@${node.kind} ${node.targets.map((target) => quoteString(target)).join(', ')}`;
+      case 'tokens': {
+        const constant = Array.isArray(node.constant) ? ` !const(${node.constant.join(', ')})` : node.constant ? ' !const' : '';
+        return `@tokens ${quoteString(node.target)}${constant}`;
+      }
+      case 'if':
+        return `@if ${node.condition}`;
+      case 'else':
+        return node.condition === null ? '@else' : `@else if ${node.condition}`;
+      case 'each':
+        return `@each ${node.variables.map((variable) => `$${variable}`).join(', ')} in ${node.list}`;
+      case 'for':
+        return `@for $${node.variable} from ${node.from} ${node.inclusive ? 'through' : 'to'} ${node.to}`;
+      case 'mixin':
+      case 'function': {
+        const parameters = node.parameters.map((parameter) => (parameter.defaultValue === null
+          ? `$${parameter.name}`
+          : `$${parameter.name}: ${parameter.defaultValue}`));
+        return parameters.length > 0 ? `@${node.type} ${node.name}(${parameters.join(', ')})` : `@${node.type} ${node.name}`;
+      }
+      case 'return':
+        return `@return ${node.value}`;
+      case 'theme':
+        return `@theme ${node.name}`;
+      case 'alias':
+        return `@alias :${node.name}${node.parameters.length > 0 ? `(${node.parameters.map((parameter) => `$${parameter}`).join(', ')})` : ''} ${node.expansion}`;
+      case 'breakpoints':
+        return `@breakpoints ${node.breakpoints.map((breakpoint) => `${breakpoint.name}: ${breakpoint.value}`).join(', ')}`;
+      case 'include': {
+        const args = node.args.map((arg) => (arg.name ? `$${arg.name}: ${arg.value}` : arg.value));
+        return args.length > 0 ? `@include ${node.name}(${args.join(', ')})` : `@include ${node.name}`;
+      }
+      case 'content':
+        return '@content';
+      default:
+        throw new Error(`Cannot print node of type "${node.type}"`);
+    }
+  }
+}
+
+function createFlatContext(wrappers, selectors, node = null) {
+  return {
+    wrappers,
+    selectors,
+    node,
+    entry: null,
+  };
+}
+
+function resolveSelectors(selector, parents) {
+  const parts = splitSelectors(selector).map((part) => part.trim()).filter((part) => part.length > 0);
+  if (!parents) {
+    return parts;
+  }
+
+  const resolved = [];
+  for (const parent of parents) {
+    for (const part of parts) {
+      if (part.includes('&')) {
+        resolved.push(...replaceParents(part, parent, parents));
+      } else if (part.startsWith(':') || part.startsWith('[')) {
+        resolved.push(`${parent}${part}`);
+      } else {
+        resolved.push(`${parent} ${part}`);
+      }
+    }
+  }
+  return resolved;
+}
+
+function replaceParents(part, parent, parents) {
+  const [head, first, ...rest] = part.split('&');
+  let resolved = [`${head}${parent}${first}`];
+  for (const segment of rest) {
+    resolved = resolved.flatMap((prefix) => parents.map((other) => `${prefix}${other}${segment}`));
+  }
+  return resolved;
 }
 
 function stripComments(input) {
   return input
-    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\/\*[\s\S]*?\*\//g, (comment) => comment.replace(/[^\n]/g, ''))
     .replace(/(^|\s)\/\/.*$/gm, '$1');
 }
 
@@ -505,25 +1944,204 @@ function splitSelectors(selectorList) {
   return selectors;
 }
 
+function splitThemeVariants(rawValue) {
+  const parts = splitSelectors(rawValue);
+  const start = parts.findIndex((part) => THEME_VARIANT.test(part));
+  if (start === -1) {
+    return { value: rawValue, variants: [] };
+  }
+  const variants = [];
+  for (const part of parts.slice(start)) {
+    const match = part.match(THEME_VARIANT);
+    if (match) {
+      variants.push({ theme: match[1], value: match[2].trim() });
+    } else {
+      variants[variants.length - 1].value += `,${part}`;
+    }
+  }
+  return { value: parts.slice(0, start).join(',').trim(), variants };
+}
+
+function splitList(value, spacesOnly = false) {
+  const parts = spacesOnly ? [value] : splitSelectors(value);
+  if (!spacesOnly && parts.length > 1) {
+    return parts.map((part) => part.trim()).filter((part) => part.length > 0);
+  }
+  const items = [];
+  let current = '';
+  let depth = 0;
+  let quote = null;
+  for (const ch of parts[0] ?? '') {
+    if (quote) {
+      if (ch === quote) {
+        quote = null;
+      }
+    } else if (ch === '\'' || ch === '"') {
+      quote = ch;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth = Math.max(0, depth - 1);
+    } else if (/\s/.test(ch) && depth === 0) {
+      if (current) {
+        items.push(current);
+      }
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  if (current) {
+    items.push(current);
+  }
+  return items;
+}
+
+function splitKeyword(expression, keyword) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  const pattern = new RegExp(`^\\s${keyword}\\s`);
+  for (let i = 0; i < expression.length; i++) {
+    const ch = expression[i];
+    if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth = Math.max(0, depth - 1);
+    } else if (depth === 0 && pattern.test(expression.slice(i, i + keyword.length + 2))) {
+      parts.push(expression.slice(start, i));
+      start = i + keyword.length + 1;
+      i = start;
+    }
+  }
+  parts.push(expression.slice(start));
+  return parts.map((part) => part.trim());
+}
+
+function isParenthesized(expression) {
+  if (!expression.startsWith('(') || !expression.endsWith(')')) {
+    return false;
+  }
+  let depth = 0;
+  for (let i = 0; i < expression.length; i++) {
+    if (expression[i] === '(') {
+      depth++;
+    } else if (expression[i] === ')') {
+      depth--;
+      if (depth === 0 && i < expression.length - 1) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+function findClosingParen(text, open) {
+  let depth = 0;
+  let quote = null;
+  for (let i = open; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === quote) {
+        quote = null;
+      }
+    } else if (ch === '\'' || ch === '"') {
+      quote = ch;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+function isTruthy(value) {
+  return value !== 'false' && value !== 'null';
+}
+
+function compareValues(left, operator, right, location) {
+  const a = parseNumber(left);
+  const b = parseNumber(right);
+  if (operator === '==' || operator === '!=') {
+    const equal = a && b ? a.value === b.value && a.unit === b.unit : unquote(left) === unquote(right);
+    return operator === '==' ? equal : !equal;
+  }
+  if (!a || !b || (a.unit && b.unit && a.unit !== b.unit)) {
+    throw new BoaCompilerError('invalid-expression', `Cannot compare "${left}" ${operator} "${right}"`, location);
+  }
+  switch (operator) {
+    case '<':
+      return a.value < b.value;
+    case '<=':
+      return a.value <= b.value;
+    case '>':
+      return a.value > b.value;
+    default:
+      return a.value >= b.value;
+  }
+}
+
+function parseNumber(value) {
+  const match = value.match(/^(-?(?:\d+\.?\d*|\.\d+))([a-zA-Z%]*)$/);
+  if (!match) {
+    return null;
+  }
+  return { value: Number(match[1]), unit: match[2] };
+}
+
+function unquote(value) {
+  const match = value.match(/^(['"])([\s\S]*)\1$/);
+  return match ? match[2] : value;
+}
+
+function parseImportTargets(name, params) {
+  const parts = splitSelectors(params).map((part) => part.trim());
+  const targets = [];
+  for (const part of parts) {
+    const match = part.match(/^(['"])(.+)\1(?:\s+as\s+\*)?$/);
+    if (!match) {
+      return null;
+    }
+    const target = match[2];
+    if (name === 'import' && (/^([a-z]+:)?\/\//i.test(target) || target.endsWith('.css'))) {
+      return null;
+    }
+    targets.push(target);
+  }
+  return targets.length > 0 ? targets : null;
+}
+
+function parseArgument(arg) {
+  const named = arg.match(/^\$([a-zA-Z0-9_-]+)\s*:\s*([\s\S]+)$/);
+  if (named) {
+    return { name: named[1], value: named[2].trim() };
+  }
+  return { name: null, value: arg };
+}
+
 function countIndent(line, offset, indentWidth, indentStyle) {
   let count = 0;
   let styleUsed = null;
   for (const ch of line) {
     if (ch === ' ') {
       if (indentStyle === 'tab') {
-        throw new SassCompilerError('Indentation mixes tabs and spaces', offset);
+        throw new BoaCompilerError('mixed-indentation', 'Indentation mixes tabs and spaces', offset);
       }
       if (styleUsed && styleUsed !== 'space') {
-        throw new SassCompilerError('Indentation mixes tabs and spaces', offset);
+        throw new BoaCompilerError('mixed-indentation', 'Indentation mixes tabs and spaces', offset);
       }
       styleUsed = 'space';
       count += 1;
     } else if (ch === '\t') {
       if (indentStyle === 'space') {
-        throw new SassCompilerError('Indentation mixes tabs and spaces', offset);
+        throw new BoaCompilerError('mixed-indentation', 'Indentation mixes tabs and spaces', offset);
       }
       if (styleUsed && styleUsed !== 'tab') {
-        throw new SassCompilerError('Indentation mixes tabs and spaces', offset);
+        throw new BoaCompilerError('mixed-indentation', 'Indentation mixes tabs and spaces', offset);
       }
       styleUsed = 'tab';
       const size = indentWidth ?? TAB_SIZE;
@@ -539,7 +2157,7 @@ function canNest(node) {
   if (!node) {
     return false;
   }
-  return node.type === 'rule' || node.type === 'at-rule';
+  return node.type === 'rule' || node.type === 'at-rule' || node.type === 'mixin' || node.type === 'function' || node.type === 'theme' || node.type === 'include' || CONTROL_DIRECTIVES.has(node.type);
 }
 
 function createContext(indent, nodes) {
@@ -665,6 +2283,28 @@ function renderComment(comment) {
   return text.length > 0 ? `/* ${text} */` : '/* */';
 }
 
+function printComment(comment) {
+  if (comment.kind === 'line') {
+    return comment.text ? `// ${comment.text}` : '//';
+  }
+  return renderComment(comment);
+}
+
+function quoteString(value) {
+  return value.includes("'") ? `"${value}"` : `'${value}'`;
+}
+
+function isBlock(node) {
+  return node.type === 'rule' || (node.type !== 'import' && node.type !== 'tokens' && node.children?.length > 0);
+}
+
+function needsBlankLine(previous, node) {
+  if (previous.type !== 'comment' && (isBlock(previous) || isBlock(node))) {
+    return true;
+  }
+  return !isBlock(previous) && previous.line != null && node.line != null && node.line > previous.line + 1;
+}
+
 function findTopLevelColon(content) {
   let inSingle = false;
   let inDouble = false;
@@ -711,13 +2351,53 @@ function isDeclarationColon(content, colonIndex) {
 }
 
 const TAB_SIZE = 4;
+const MAX_INCLUDE_DEPTH = 100;
+const MAX_LOOP_ITERATIONS = 10000;
+const SLASH_PROPERTIES = new Set([
+  'aspect-ratio', 'background', 'border-image', 'border-radius', 'container', 'font', 'grid', 'grid-area',
+  'grid-column', 'grid-row', 'grid-template', 'mask', 'mask-border', 'offset', '-webkit-mask',
+]);
+const ALIAS_REFERENCE = /(?<!:):([a-zA-Z][a-zA-Z0-9_-]*)(?![a-zA-Z0-9_-])/g;
+const BUILTIN_ALIASES = [{ name: 'hocus', parameters: [], expansion: ':is(:hover, :focus-within)' }];
+const BREAKPOINT_RANGE = /^(?=.*[a-zA-Z])(?:[a-zA-Z][a-zA-Z0-9_-]*)?(?:\.\.(?:[a-zA-Z][a-zA-Z0-9_-]*)?)?$/;
+const QUERY_KEYWORDS = new Set(['and', 'or', 'not', 'only']);
+const MEDIA_TYPES = new Set(['all', 'print', 'screen', 'speech', 'aural', 'braille', 'embossed', 'handheld', 'projection', 'tty', 'tv']);
+const THEME_MEDIA = {
+  dark: '(prefers-color-scheme: dark)',
+  light: '(prefers-color-scheme: light)',
+};
+const THEME_VARIANT = /^\s*([a-zA-Z][a-zA-Z0-9_-]*):\s+(\S[\s\S]*)$/;
+const CONTROL_DIRECTIVES = new Set(['if', 'else', 'each', 'for']);
+const HOISTABLE_AT_RULES = new Set(['container', 'document', 'layer', 'media', 'scope', 'starting-style', 'supports']);
+const KNOWN_AT_RULES = new Set([
+  'charset',
+  'color-profile',
+  'container',
+  'counter-style',
+  'document',
+  'font-face',
+  'font-feature-values',
+  'font-palette-values',
+  'import',
+  'keyframes',
+  'layer',
+  'media',
+  'namespace',
+  'page',
+  'position-try',
+  'property',
+  'scope',
+  'starting-style',
+  'supports',
+  'view-transition',
+]);
 
 function minifyValue(value) {
   return value
     .replace(/,\s+/g, ',')
     .replace(/\(\s+/g, '(')
     .replace(/\s+\)/g, ')')
-    .replace(/\)\s+/g, ')')
+    .replace(/\)\s+(?![+-]\s)/g, ')')
     .replace(/\s{2,}/g, ' ')
     .trim();
 }
@@ -733,6 +2413,18 @@ function minifyAtRuleParams(params) {
     .trim();
 }
 
-function expandPseudoAliases(selector) {
-  return selector.replace(/:hocus(?![a-zA-Z0-9_-])/g, ':is(:hover, :focus-within)');
+function parseAlias(text) {
+  const match = text.trim().match(/^:([a-zA-Z][a-zA-Z0-9_-]*)(?:\(([^)]*)\))?\s+(\S[\s\S]*)$/);
+  if (!match) {
+    return null;
+  }
+  const parameters = match[2] === undefined ? [] : match[2].split(',').map((parameter) => parameter.trim());
+  if (!parameters.every((parameter) => /^\$[a-zA-Z_][a-zA-Z0-9_-]*$/.test(parameter))) {
+    return null;
+  }
+  return {
+    name: match[1],
+    parameters: parameters.map((parameter) => parameter.slice(1)),
+    expansion: match[3].trim(),
+  };
 }
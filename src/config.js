@@ -0,0 +1,163 @@
+import { existsSync, readFileSync } from 'fs';
+import { basename, dirname, join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+
+export const CONFIG_FILES = ['boa.config.js', 'boa.config.json'];
+
+const OPTION_KEYS = new Set(['indent', 'rootSelector', 'hoverGuard', 'minify', 'optimize', 'target', 'sourceMap', 'loadPaths', 'tokens', 'themes', 'aliases']);
+const CONFIG_KEYS = new Set([...OPTION_KEYS, 'entries', 'outDir']);
+const ENTRY_KEYS = new Set([...OPTION_KEYS, 'input', 'output', 'outDir']);
+
+export function findConfig(cwd = process.cwd()) {
+  let dir = resolve(cwd);
+  while (true) {
+    for (const name of CONFIG_FILES) {
+      if (existsSync(join(dir, name))) {
+        return join(dir, name);
+      }
+    }
+    const packagePath = join(dir, 'package.json');
+    if (existsSync(packagePath)) {
+      return readJson(packagePath).boa !== undefined ? packagePath : null;
+    }
+    const parent = dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+export async function loadConfig(path) {
+  const file = resolve(path);
+  if (!existsSync(file)) {
+    throw new Error(`Config file not found: ${path}`);
+  }
+
+  let config;
+  if (file.endsWith('.json')) {
+    const data = readJson(file);
+    config = basename(file) === 'package.json' ? data.boa : data;
+  } else {
+    const module = await import(pathToFileURL(file).href);
+    config = module.default ?? module;
+  }
+  return normalizeConfig(config, file);
+}
+
+export function normalizeConfig(config, file) {
+  const dir = dirname(file);
+  const where = basename(file) === 'package.json' ? `the "boa" key of ${file}` : file;
+  if (!isPlainObject(config)) {
+    throw new Error(`Expected an object in ${where}`);
+  }
+  checkKeys(config, CONFIG_KEYS, where);
+  if (config.entries !== undefined && !Array.isArray(config.entries)) {
+    throw new Error(`"entries" must be an array in ${where}`);
+  }
+
+  return {
+    path: file,
+    options: normalizeOptions(config, dir, where),
+    outDir: config.outDir !== undefined ? resolve(dir, config.outDir) : null,
+    entries: (config.entries ?? []).map((entry) => normalizeEntry(entry, dir, where)),
+  };
+}
+
+export function normalizeIndent(indent) {
+  if (typeof indent === 'number' && Number.isInteger(indent) && indent >= 0) {
+    return ' '.repeat(indent);
+  }
+  if (indent === 'tab') {
+    return '\t';
+  }
+  if (typeof indent === 'string' && /^[ \t]*$/.test(indent)) {
+    return indent;
+  }
+  throw new Error(`Invalid indent ${JSON.stringify(indent)} (expected a number of spaces, "tab", or a whitespace string)`);
+}
+
+function normalizeEntry(entry, dir, where) {
+  if (typeof entry === 'string') {
+    return { input: resolve(dir, entry), output: null, outDir: null, options: {} };
+  }
+  if (!isPlainObject(entry) || typeof entry.input !== 'string') {
+    throw new Error(`Each entry needs an "input" path in ${where}`);
+  }
+  checkKeys(entry, ENTRY_KEYS, `entry "${entry.input}" in ${where}`);
+  if (entry.output !== undefined && entry.outDir !== undefined) {
+    throw new Error(`Entry "${entry.input}" sets both "output" and "outDir" in ${where}`);
+  }
+  return {
+    input: resolve(dir, entry.input),
+    output: entry.output !== undefined ? resolve(dir, entry.output) : null,
+    outDir: entry.outDir !== undefined ? resolve(dir, entry.outDir) : null,
+    options: normalizeOptions(entry, dir, where),
+  };
+}
+
+function normalizeOptions(source, dir, where) {
+  const options = {};
+  for (const key of OPTION_KEYS) {
+    if (source[key] !== undefined) {
+      options[key] = source[key];
+    }
+  }
+  if (options.indent !== undefined) {
+    options.indent = normalizeIndent(options.indent);
+  }
+  if (options.sourceMap !== undefined) {
+    if (![true, false, 'file', 'inline'].includes(options.sourceMap)) {
+      throw new Error(`"sourceMap" must be true, false, "file" or "inline" in ${where}`);
+    }
+    options.sourceMap = options.sourceMap === true ? 'file' : options.sourceMap;
+  }
+  if (options.loadPaths !== undefined) {
+    options.loadPaths = [].concat(options.loadPaths).map((path) => resolve(dir, path));
+  }
+  if (options.tokens !== undefined) {
+    options.tokens = [].concat(options.tokens).map((source) => {
+      if (typeof source === 'string') {
+        return resolve(dir, source);
+      }
+      if (!isPlainObject(source) || typeof source.path !== 'string') {
+        throw new Error(`"tokens" must be a path or { path, const } in ${where}`);
+      }
+      return { ...source, path: resolve(dir, source.path) };
+    });
+  }
+  if (options.themes !== undefined) {
+    const targets = isPlainObject(options.themes) ? Object.values(options.themes) : [null];
+    const valid = targets.every((target) => isPlainObject(target)
+      && Object.entries(target).every(([key, value]) => ['media', 'selector'].includes(key) && (value === false || typeof value === 'string')));
+    if (!valid) {
+      throw new Error(`"themes" must map theme names to { media, selector } in ${where}`);
+    }
+  }
+  if (options.aliases !== undefined) {
+    if (!isPlainObject(options.aliases) || !Object.values(options.aliases).every((value) => typeof value === 'string')) {
+      throw new Error(`"aliases" must map pseudo-class aliases to selectors in ${where}`);
+    }
+  }
+  return options;
+}
+
+function checkKeys(object, allowed, where) {
+  for (const key of Object.keys(object)) {
+    if (!allowed.has(key)) {
+      throw new Error(`Unknown option "${key}" in ${where}`);
+    }
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function readJson(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${path}: ${error.message}`);
+  }
+}
@@ -0,0 +1,288 @@
+import { BoaCompilerError, formatCodeFrame } from './errors.js';
+
+export function parseCss(source, options = {}) {
+  const parser = new CssParser(source, options.filename ?? null, options.syntax ?? 'css');
+  try {
+    return parser.parseBlock(true);
+  } catch (error) {
+    if (error instanceof BoaCompilerError) {
+      error.source = parser.source;
+      error.frame = formatCodeFrame(parser.source, error.line, error.column);
+    }
+    throw error;
+  }
+}
+
+export function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\') {
+        i += 1;
+      } else if (ch === quote) {
+        quote = null;
+      }
+      continue;
+    }
+    if (ch === '"' || ch === '\'') {
+      quote = ch;
+    } else if (ch === '(' || ch === '[') {
+      depth += 1;
+    } else if (ch === ')' || ch === ']') {
+      depth = Math.max(0, depth - 1);
+    } else if (ch === separator && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+class CssParser {
+  constructor(source, filename, syntax) {
+    this.source = source.replace(/\r\n?/g, '\n');
+    this.filename = filename;
+    this.scss = syntax === 'scss';
+    this.index = 0;
+    this.lineStarts = [0];
+    for (let i = 0; i < this.source.length; i++) {
+      if (this.source[i] === '\n') {
+        this.lineStarts.push(i + 1);
+      }
+    }
+  }
+
+  parseBlock(topLevel) {
+    const nodes = [];
+    const open = this.index - 1;
+    let statementEnd = null;
+    while (true) {
+      this.skipWhitespace();
+      if (this.index >= this.source.length) {
+        if (!topLevel) {
+          throw this.error('Unclosed block: expected "}"', open);
+        }
+        return nodes;
+      }
+      const ch = this.source[this.index];
+      if (ch === '}') {
+        if (topLevel) {
+          throw this.error('Unexpected "}"', this.index);
+        }
+        this.index += 1;
+        return nodes;
+      }
+      if (ch === ';') {
+        this.index += 1;
+        continue;
+      }
+      if (this.source.startsWith('/*', this.index) || this.isLineComment()) {
+        const trailing = statementEnd !== null && !this.source.slice(statementEnd, this.index).includes('\n');
+        const kind = this.isLineComment() ? 'line' : 'block';
+        const text = kind === 'line' ? this.readLineComment() : this.readComment();
+        nodes.push({ type: 'comment', kind, text, trailing, line: this.lineAt(this.index - 1) });
+        statementEnd = null;
+        continue;
+      }
+      const node = this.parseStatement();
+      nodes.push(node);
+      statementEnd = node.type === 'declaration' || node.children === null ? this.index : null;
+    }
+  }
+
+  parseStatement() {
+    const start = this.index;
+    const line = this.lineAt(start);
+    const prelude = collapseWhitespace(this.readPrelude());
+    const terminator = this.source[this.index];
+
+    if (terminator === '{') {
+      this.index += 1;
+      const children = this.parseBlock(false);
+      if (prelude.startsWith('@')) {
+        return { type: 'at-rule', ...splitAtRule(prelude), children, line, raw: this.source.slice(start, this.index) };
+      }
+      if (!prelude) {
+        throw this.error('Expected a selector before "{"', start);
+      }
+      return { type: 'rule', selector: prelude, children, line };
+    }
+
+    if (terminator === ';') {
+      this.index += 1;
+    }
+    if (prelude.startsWith('@')) {
+      return { type: 'at-rule', ...splitAtRule(prelude), children: null, line, raw: this.source.slice(start, this.index) };
+    }
+    const colon = prelude.indexOf(':');
+    if (colon <= 0) {
+      throw this.error(`Expected a declaration or a "{" block, found "${prelude}"`, start);
+    }
+    return {
+      type: 'declaration',
+      property: prelude.slice(0, colon).trim(),
+      value: prelude.slice(colon + 1).trim(),
+      line,
+    };
+  }
+
+  readPrelude() {
+    let text = '';
+    let depth = 0;
+    while (this.index < this.source.length) {
+      const ch = this.source[this.index];
+      if (ch === '"' || ch === '\'') {
+        text += this.readString(ch);
+        continue;
+      }
+      if (this.source.startsWith('/*', this.index)) {
+        this.readComment();
+        text += ' ';
+        continue;
+      }
+      if (this.scss && this.source.startsWith('#{', this.index)) {
+        text += this.readInterpolation();
+        continue;
+      }
+      if (depth === 0 && this.isLineComment() && text[text.length - 1] !== ':') {
+        this.readLineComment();
+        text += ' ';
+        continue;
+      }
+      if (ch === '(' || ch === '[') {
+        depth += 1;
+      } else if ((ch === ')' || ch === ']') && depth > 0) {
+        depth -= 1;
+      } else if (depth === 0 && (ch === '{' || ch === ';' || ch === '}')) {
+        break;
+      }
+      text += ch;
+      this.index += 1;
+    }
+    return text;
+  }
+
+  readString(quote) {
+    const start = this.index;
+    this.index += 1;
+    while (this.index < this.source.length) {
+      const ch = this.source[this.index];
+      this.index += ch === '\\' ? 2 : 1;
+      if (ch === quote) {
+        return this.source.slice(start, this.index);
+      }
+      if (ch === '\n') {
+        break;
+      }
+    }
+    throw this.error('Unterminated string', start);
+  }
+
+  readComment() {
+    const start = this.index;
+    const end = this.source.indexOf('*/', start + 2);
+    if (end === -1) {
+      throw this.error('Unterminated comment', start);
+    }
+    this.index = end + 2;
+    return this.source.slice(start + 2, end);
+  }
+
+  readLineComment() {
+    const end = this.source.indexOf('\n', this.index);
+    const text = this.source.slice(this.index + 2, end === -1 ? this.source.length : end);
+    this.index = end === -1 ? this.source.length : end;
+    return text;
+  }
+
+  readInterpolation() {
+    const start = this.index;
+    let depth = 0;
+    while (this.index < this.source.length) {
+      const ch = this.source[this.index];
+      this.index += 1;
+      if (ch === '{') {
+        depth += 1;
+      } else if (ch === '}') {
+        depth -= 1;
+        if (depth === 0) {
+          return this.source.slice(start, this.index);
+        }
+      }
+    }
+    throw this.error('Unterminated interpolation', start);
+  }
+
+  isLineComment() {
+    return this.scss && this.source.startsWith('//', this.index);
+  }
+
+  skipWhitespace() {
+    while (this.index < this.source.length && /\s/.test(this.source[this.index])) {
+      this.index += 1;
+    }
+  }
+
+  lineAt(index) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.lineStarts[middle] <= index) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low + 1;
+  }
+
+  error(message, index) {
+    const line = this.lineAt(index);
+    return new BoaCompilerError('invalid-css', message, {
+      index,
+      line,
+      column: index - this.lineStarts[line - 1] + 1,
+      filename: this.filename,
+    });
+  }
+}
+
+function splitAtRule(prelude) {
+  const match = prelude.match(/^@([a-zA-Z0-9_-]+)\s*([\s\S]*)$/);
+  return match ? { name: match[1], params: match[2].trim() } : { name: prelude.slice(1), params: '' };
+}
+
+function collapseWhitespace(text) {
+  let result = '';
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      result += ch;
+      if (ch === '\\') {
+        result += text[i + 1] ?? '';
+        i += 1;
+      } else if (ch === quote) {
+        quote = null;
+      }
+      continue;
+    }
+    if (ch === '"' || ch === '\'') {
+      quote = ch;
+      result += ch;
+    } else if (/\s/.test(ch)) {
+      if (!result.endsWith(' ')) {
+        result += ' ';
+      }
+    } else {
+      result += ch;
+    }
+  }
+  return result.trim();
+}
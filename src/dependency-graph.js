@@ -0,0 +1,48 @@
+export class DependencyGraph {
+  constructor() {
+    this.dependencies = new Map();
+  }
+
+  setDependencies(entry, files) {
+    this.dependencies.set(entry, new Set(files));
+  }
+
+  addDependency(entry, file) {
+    if (!this.dependencies.has(entry)) {
+      this.dependencies.set(entry, new Set());
+    }
+    this.dependencies.get(entry).add(file);
+  }
+
+  removeEntry(entry) {
+    this.dependencies.delete(entry);
+  }
+
+  hasEntry(entry) {
+    return this.dependencies.has(entry);
+  }
+
+  entries() {
+    return [...this.dependencies.keys()];
+  }
+
+  affectedEntries(file) {
+    const affected = [];
+    for (const [entry, files] of this.dependencies) {
+      if (entry === file || files.has(file)) {
+        affected.push(entry);
+      }
+    }
+    return affected;
+  }
+
+  files() {
+    const files = new Set(this.dependencies.keys());
+    for (const dependencies of this.dependencies.values()) {
+      for (const file of dependencies) {
+        files.add(file);
+      }
+    }
+    return [...files];
+  }
+}
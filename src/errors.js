@@ -0,0 +1,133 @@
+export const ERROR_CODES = {
+  'mixed-indentation': 'BOA001',
+  'uneven-indentation': 'BOA002',
+  'unexpected-indentation': 'BOA003',
+  'indentation-jump': 'BOA004',
+  'unclosed-block': 'BOA005',
+  'invalid-variable': 'BOA006',
+  'invalid-declaration': 'BOA007',
+  'invalid-directive': 'BOA008',
+  'undefined-mixin': 'BOA009',
+  'invalid-arguments': 'BOA010',
+  'import-not-found': 'BOA011',
+  'circular-import': 'BOA012',
+  'invalid-expression': 'BOA013',
+  'limit-exceeded': 'BOA014',
+  'invalid-css': 'BOA015',
+  'incompatible-units': 'BOA016',
+  'invalid-color': 'BOA017',
+  'invalid-tokens': 'BOA018',
+  'undefined-breakpoint': 'BOA019',
+  'invalid-alias': 'BOA020',
+  'invalid-option': 'BOA021',
+};
+
+export const WARNING_CODES = {
+  'undefined-variable': 'BOA101',
+  'constant-redefined': 'BOA102',
+  'duplicate-declaration': 'BOA103',
+  'empty-rule': 'BOA104',
+  'unknown-at-rule': 'BOA105',
+  'missing-theme-variant': 'BOA106',
+};
+
+export class BoaCompilerError extends Error {
+  constructor(kind, message, location = {}) {
+    const position = typeof location === 'number' ? { index: location } : location;
+    super(message);
+    this.name = 'BoaCompilerError';
+    this.kind = kind;
+    this.code = ERROR_CODES[kind] ?? 'BOA000';
+    this.reason = message;
+    this.index = position.index ?? null;
+    this.line = position.line ?? null;
+    this.column = position.column ?? null;
+    this.filename = position.filename ?? position.source ?? null;
+    this.importChain = [];
+    this.source = null;
+    this.frame = null;
+    this.errors = [this];
+    this.message = describeError(this);
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      kind: this.kind,
+      message: this.reason,
+      filename: this.filename,
+      line: this.line,
+      column: this.column,
+      index: this.index,
+      importChain: this.importChain,
+    };
+  }
+}
+
+export function describeError(error, displayPath = (path) => path) {
+  const file = error.filename ? displayPath(error.filename) : '<input>';
+  const location = error.line !== null ? `${file}:${error.line}:${error.column}` : file;
+  const chain = error.importChain.map((path) => `\n  imported from ${displayPath(path)}`).join('');
+  return `${error.reason} (at ${location})${chain}`;
+}
+
+export function formatCodeFrame(source, line, column, options = {}) {
+  const color = options.color ?? false;
+  const paint = (code, text) => (color ? `\u001b[${code}m${text}\u001b[0m` : text);
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  const first = Math.max(1, line - 2);
+  const last = Math.min(lines.length, line + 1);
+  const gutterWidth = String(last).length;
+  const frame = [];
+  for (let current = first; current <= last; current++) {
+    const number = String(current).padStart(gutterWidth);
+    const text = lines[current - 1].replace(/\t/g, '    ');
+    if (current === line) {
+      frame.push(`${paint('31;1', '>')} ${paint('2', `${number} |`)} ${text}`);
+      const prefix = lines[current - 1].slice(0, Math.max(0, column - 1)).replace(/\t/g, '    ');
+      frame.push(`  ${' '.repeat(gutterWidth)} ${paint('2', '|')} ${' '.repeat(prefix.length)}${paint('31;1', '^')}`);
+    } else {
+      frame.push(`  ${paint('2', `${number} |`)} ${text}`);
+    }
+  }
+  return frame.join('\n');
+}
+
+export function formatError(error, options = {}) {
+  const color = options.color ?? false;
+  const paint = (code, text) => (color ? `\u001b[${code}m${text}\u001b[0m` : text);
+  const displayPath = options.displayPath ?? ((path) => path);
+  const lines = [`${paint('31;1', `${error.code} ${error.kind}`)}: ${error.reason}`];
+  if (error.filename || error.line !== null) {
+    const file = error.filename ? displayPath(error.filename) : '<input>';
+    const location = error.line !== null ? `${file}:${error.line}:${error.column}` : file;
+    lines.push(`  ${paint('36', '-->')} ${location}`);
+  }
+  for (const path of error.importChain) {
+    lines.push(`  imported from ${displayPath(path)}`);
+  }
+  if (error.source !== null && error.line !== null) {
+    lines.push(formatCodeFrame(error.source, error.line, error.column, { color }));
+  }
+  return lines.join('\n');
+}
+
+export function createWarning(kind, message, location = {}) {
+  return {
+    code: WARNING_CODES[kind] ?? 'BOA100',
+    kind,
+    message,
+    filename: location.filename ?? location.source ?? null,
+    line: location.line ?? null,
+    column: location.column ?? null,
+  };
+}
+
+export function formatWarning(warning, options = {}) {
+  const color = options.color ?? false;
+  const paint = (code, text) => (color ? `\u001b[${code}m${text}\u001b[0m` : text);
+  const displayPath = options.displayPath ?? ((path) => path);
+  const file = warning.filename ? displayPath(warning.filename) : '<input>';
+  const location = warning.line !== null ? `${file}:${warning.line}:${warning.column}` : file;
+  return `${paint('33;1', `warning ${warning.code} ${warning.kind}`)}: ${warning.message}\n  ${paint('36', '-->')} ${location}`;
+}
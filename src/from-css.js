@@ -0,0 +1,99 @@
+import { print } from './compiler.js';
+import { parseCss, splitTopLevel } from './css-parser.js';
+
+export function fromCss(source, options = {}) {
+  const nodes = convertNodes(parseCss(source, options), { nested: false, topLevel: true });
+  return print(nodes, { indent: options.indent });
+}
+
+function convertNodes(nodes, context) {
+  const converted = [];
+  for (const node of nodes) {
+    if (node.type === 'comment') {
+      const comments = convertComment(node.text, node.line);
+      const previous = converted[converted.length - 1];
+      if (node.trailing && comments.length === 1 && previous && !previous.comment) {
+        previous.comment = comments[0].comment;
+      } else {
+        converted.push(...comments);
+      }
+      continue;
+    }
+    if (node.type === 'declaration') {
+      converted.push({ ...convertDeclaration(node), line: node.line });
+      continue;
+    }
+    if (node.type === 'at-rule') {
+      if (node.children && isHoverGuard(node)) {
+        converted.push(...convertNodes(node.children, context));
+        continue;
+      }
+      converted.push({
+        type: 'at-rule',
+        name: node.name,
+        params: node.params,
+        children: node.children ? convertNodes(node.children, { ...context, topLevel: false }) : [],
+        line: node.line,
+      });
+      continue;
+    }
+
+    const children = convertNodes(node.children, { nested: true, topLevel: false });
+    const selector = convertSelector(node.selector, context.nested);
+    if (context.topLevel && selector === ':root') {
+      const liftable = (child) => child.type === 'variable' || (child.type === 'comment' && children.every(liftable));
+      const rest = children.filter((child) => !liftable(child));
+      converted.push(...children.filter(liftable));
+      if (rest.length > 0) {
+        converted.push({ type: 'rule', selector, children: rest, line: node.line });
+      }
+      continue;
+    }
+    converted.push({ type: 'rule', selector, children, line: node.line });
+  }
+  return converted;
+}
+
+function convertComment(text, line) {
+  const lines = text
+    .split('\n')
+    .map((line) => line.trim().replace(/^\*\s?/, '').trim())
+    .filter((line, index, all) => line.length > 0 || (index > 0 && index < all.length - 1));
+  return (lines.length > 0 ? lines : ['']).map((text) => ({
+    type: 'comment',
+    comment: { kind: 'line', text, raw: text ? `// ${text}` : '//' },
+    line,
+  }));
+}
+
+function convertDeclaration(node) {
+  const value = convertValue(node.value);
+  const custom = node.property.match(/^--([a-zA-Z0-9_-]+)$/);
+  if (custom) {
+    return { type: 'variable', name: custom[1], value, constant: false };
+  }
+  return { type: 'declaration', property: node.property, value };
+}
+
+function convertValue(value) {
+  return value.replace(/var\(\s*--([a-zA-Z0-9_-]+)\s*\)(?![a-zA-Z0-9_-])/g, (_, name) => `$${name}`);
+}
+
+function convertSelector(selector, nested) {
+  return splitTopLevel(selector, ',')
+    .map((part) => {
+      let converted = part.trim().replace(/:is\(\s*:hover\s*,\s*:focus-within\s*\)/g, ':hocus');
+      if (nested && converted.startsWith('& ') && !converted.slice(1).includes('&')) {
+        converted = converted.slice(2).trim();
+      }
+      return converted;
+    })
+    .join(', ');
+}
+
+function isHoverGuard(node) {
+  return node.name === 'media'
+    && node.params.replace(/\s+/g, '') === '(hover:hover)'
+    && node.children.length > 0
+    && node.children.every((child) => child.type === 'rule' && /:hover\b|:is\(\s*:hover\s*,\s*:focus-within\s*\)/.test(child.selector));
+}
@@ -0,0 +1,497 @@
+import { existsSync, readFileSync } from 'fs';
+import { dirname, relative } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { BoaCompilerError, compile, parse } from './compiler.js';
+import { findConfig, loadConfig } from './config.js';
+import { loadTokens } from './tokens.js';
+
+export function startServer(input = process.stdin, output = process.stdout) {
+  return new Promise((resolveExit) => {
+    const server = new LanguageServer((message) => output.write(encodeMessage(message)));
+    server.onExit = resolveExit;
+    let buffer = Buffer.alloc(0);
+    let queue = Promise.resolve();
+
+    input.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      while (true) {
+        const headerEnd = buffer.indexOf('\r\n\r\n');
+        if (headerEnd === -1) {
+          return;
+        }
+        const length = Number(buffer.subarray(0, headerEnd).toString('ascii').match(/Content-Length:\s*(\d+)/i)?.[1] ?? 0);
+        const end = headerEnd + 4 + length;
+        if (buffer.length < end) {
+          return;
+        }
+        const body = buffer.subarray(headerEnd + 4, end).toString('utf8');
+        buffer = buffer.subarray(end);
+        queue = queue.then(() => server.receive(body));
+      }
+    });
+    input.on('end', () => queue.then(() => resolveExit(server.shutdownRequested ? 0 : 1)));
+  });
+}
+
+export class LanguageServer {
+  constructor(send) {
+    this.send = send;
+    this.documents = new Map();
+    this.configs = new Map();
+    this.shutdownRequested = false;
+    this.onExit = () => {};
+  }
+
+  async receive(body) {
+    let message;
+    try {
+      message = JSON.parse(body);
+    } catch {
+      this.send({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: 'Invalid JSON' } });
+      return;
+    }
+    await this.handle(message);
+  }
+
+  async handle(message) {
+    const { id, method, params = {} } = message;
+    const handler = this.handlers()[method];
+    if (id === undefined) {
+      await handler?.(params);
+      return;
+    }
+    if (!handler) {
+      this.send({ jsonrpc: '2.0', id, error: { code: METHOD_NOT_FOUND, message: `Unhandled method ${method}` } });
+      return;
+    }
+    try {
+      this.send({ jsonrpc: '2.0', id, result: (await handler(params)) ?? null });
+    } catch (error) {
+      this.send({ jsonrpc: '2.0', id, error: { code: INTERNAL_ERROR, message: error.message } });
+    }
+  }
+
+  handlers() {
+    return {
+      initialize: () => ({
+        capabilities: {
+          textDocumentSync: { openClose: true, change: FULL_SYNC },
+          completionProvider: { triggerCharacters: ['$'] },
+          definitionProvider: true,
+          referencesProvider: true,
+          hoverProvider: true,
+          documentSymbolProvider: true,
+        },
+        serverInfo: { name: 'boa' },
+      }),
+      shutdown: () => {
+        this.shutdownRequested = true;
+      },
+      exit: () => this.onExit(this.shutdownRequested ? 0 : 1),
+      'textDocument/didOpen': ({ textDocument }) => this.update(textDocument.uri, textDocument.text),
+      'textDocument/didChange': ({ textDocument, contentChanges }) => this.update(textDocument.uri, contentChanges[contentChanges.length - 1].text),
+      'textDocument/didClose': ({ textDocument }) => {
+        this.documents.delete(textDocument.uri);
+        this.notify('textDocument/publishDiagnostics', { uri: textDocument.uri, diagnostics: [] });
+      },
+      'textDocument/completion': ({ textDocument, position }) => this.completion(textDocument.uri, position),
+      'textDocument/definition': ({ textDocument, position }) => this.definition(textDocument.uri, position),
+      'textDocument/references': ({ textDocument, position, context }) => this.references(textDocument.uri, position, context?.includeDeclaration ?? true),
+      'textDocument/hover': ({ textDocument, position }) => this.hover(textDocument.uri, position),
+      'textDocument/documentSymbol': ({ textDocument }) => this.documentSymbols(textDocument.uri),
+    };
+  }
+
+  notify(method, params) {
+    this.send({ jsonrpc: '2.0', method, params });
+  }
+
+  async update(uri, text) {
+    const previous = this.documents.get(uri);
+    const document = {
+      uri,
+      path: uri.startsWith('file:') ? fileURLToPath(uri) : null,
+      text,
+      lines: text.split(/\r?\n/),
+      ast: previous?.ast ?? [],
+      dependencies: previous?.dependencies ?? [],
+      constants: previous?.constants ?? {},
+      symbols: [],
+    };
+    this.documents.set(uri, document);
+
+    const diagnostics = [];
+    try {
+      const result = compile(text, { ...(await this.optionsFor(document.path)), filename: document.path, recover: true, details: true });
+      document.dependencies = result.dependencies;
+      document.constants = result.constants;
+      for (const warning of result.warnings) {
+        if (warning.filename === document.path && warning.line !== null) {
+          diagnostics.push(createDiagnostic(document, warning, WARNING));
+        }
+      }
+    } catch (error) {
+      for (const problem of error instanceof BoaCompilerError ? error.errors : [error]) {
+        diagnostics.push(this.errorDiagnostic(document, problem));
+      }
+    }
+    try {
+      document.ast = parse(text, { filename: document.path, recover: true }).children;
+    } catch {
+      // Keep the last successful parse so navigation still works mid-edit.
+    }
+    document.symbols = this.collectSymbols(document);
+    this.notify('textDocument/publishDiagnostics', { uri, diagnostics });
+  }
+
+  async optionsFor(path) {
+    const configPath = path ? findConfig(dirname(path)) : null;
+    if (!configPath) {
+      return {};
+    }
+    if (!this.configs.has(configPath)) {
+      this.configs.set(configPath, await loadConfig(configPath).then((config) => config.options, () => ({})));
+    }
+    const { sourceMap, minify, ...options } = this.configs.get(configPath);
+    return options;
+  }
+
+  errorDiagnostic(document, error) {
+    if (!(error instanceof BoaCompilerError)) {
+      return { range: lineRange(document, 0, 0), severity: ERROR, source: 'boa', message: error.message };
+    }
+    if (error.filename !== document.path || error.line === null) {
+      const file = error.filename ? relative(dirname(document.path ?? ''), error.filename) : '<input>';
+      const where = error.line !== null ? `${file}:${error.line}:${error.column}` : file;
+      return { range: lineRange(document, 0, 0), severity: ERROR, code: error.code, source: 'boa', message: `${error.reason} (in ${where})` };
+    }
+    return createDiagnostic(document, { code: error.code, message: error.reason, line: error.line, column: error.column }, ERROR);
+  }
+
+  collectSymbols(document) {
+    const symbols = [];
+    walk(document.ast, (node) => {
+      if (node.type === 'variable') {
+        symbols.push(createSymbol(node, document.uri));
+      }
+    });
+    for (const file of document.dependencies) {
+      const uri = pathToFileURL(file).href;
+      try {
+        if (file.endsWith('.json')) {
+          for (const token of loadTokens(file, false, {})) {
+            symbols.push({ name: token.name, value: token.value, constant: false, uri, line: 0, character: 0 });
+          }
+        } else {
+          walk(parse(this.readText(uri, file), { filename: file }).children, (node) => {
+            if (node.type === 'variable') {
+              symbols.push(createSymbol(node, uri));
+            }
+          });
+        }
+      } catch {
+        continue;
+      }
+    }
+    return symbols;
+  }
+
+  completion(uri, position) {
+    const document = this.documents.get(uri);
+    if (!document) {
+      return [];
+    }
+    const before = (document.lines[position.line] ?? '').slice(0, position.character);
+    const variable = before.match(/\$([a-zA-Z0-9_-]*)$/);
+    if (variable) {
+      const range = {
+        start: { line: position.line, character: position.character - variable[0].length },
+        end: position,
+      };
+      const seen = new Set();
+      return document.symbols.filter((symbol) => !seen.has(symbol.name) && seen.add(symbol.name)).map((symbol) => ({
+        label: `$${symbol.name}`,
+        kind: symbol.constant ? COMPLETION_CONSTANT : COMPLETION_VARIABLE,
+        detail: symbol.constant ? `${symbol.value} !const` : symbol.value,
+        textEdit: { range, newText: `$${symbol.name}` },
+      }));
+    }
+    if (/^\s+[a-z-]*$/.test(before)) {
+      return CSS_PROPERTIES.map((property) => ({
+        label: property,
+        kind: COMPLETION_PROPERTY,
+        insertText: `${property}: `,
+      }));
+    }
+    return [];
+  }
+
+  definition(uri, position) {
+    const name = this.variableAt(uri, position);
+    if (!name) {
+      return null;
+    }
+    return this.documents.get(uri).symbols.filter((symbol) => symbol.name === name).map((symbol) => symbolLocation(symbol));
+  }
+
+  references(uri, position, includeDeclaration) {
+    const name = this.variableAt(uri, position);
+    if (!name) {
+      return null;
+    }
+    const document = this.documents.get(uri);
+    const files = new Map([[uri, document.lines]]);
+    for (const file of document.dependencies.filter((path) => path.endsWith('.boa'))) {
+      const fileUri = pathToFileURL(file).href;
+      files.set(fileUri, this.readText(fileUri, file).split(/\r?\n/));
+    }
+    for (const other of this.documents.values()) {
+      if (document.path && other.dependencies.includes(document.path)) {
+        files.set(other.uri, other.lines);
+      }
+    }
+
+    const definitions = new Set(document.symbols.map((symbol) => `${symbol.uri}:${symbol.line}:${symbol.character}`));
+    const pattern = new RegExp(`\\$${escapeRegExp(name)}(?![a-zA-Z0-9_-])`, 'g');
+    const locations = [];
+    for (const [fileUri, lines] of files) {
+      lines.forEach((text, line) => {
+        for (const match of text.matchAll(pattern)) {
+          if (!includeDeclaration && definitions.has(`${fileUri}:${line}:${match.index}`)) {
+            continue;
+          }
+          locations.push({
+            uri: fileUri,
+            range: { start: { line, character: match.index }, end: { line, character: match.index + match[0].length } },
+          });
+        }
+      });
+    }
+    return locations;
+  }
+
+  hover(uri, position) {
+    const name = this.variableAt(uri, position);
+    if (!name) {
+      return null;
+    }
+    const document = this.documents.get(uri);
+    const local = localBinding(document.ast, name, position.line + 1);
+    if (local) {
+      return { contents: { kind: 'markdown', value: `\`\`\`boa\n${local}\n\`\`\`` } };
+    }
+    const symbol = document.symbols.find((candidate) => candidate.name === name);
+    const resolved = document.constants[name];
+    if (!symbol && resolved === undefined) {
+      return null;
+    }
+    const declaration = symbol
+      ? `$${name}: ${symbol.value}${symbol.constant ? ' !const' : ''}`
+      : `$${name}: ${resolved} !const`;
+    const detail = resolved !== undefined
+      ? `Resolves to \`${resolved}\``
+      : `Compiles to \`var(--${name})\``;
+    return { contents: { kind: 'markdown', value: `\`\`\`boa\n${declaration}\n\`\`\`\n${detail}` } };
+  }
+
+  documentSymbols(uri) {
+    const document = this.documents.get(uri);
+    return document ? outline(document.ast, document) : [];
+  }
+
+  readText(uri, path) {
+    return this.documents.get(uri)?.text ?? (existsSync(path) ? readFileSync(path, 'utf8') : '');
+  }
+
+  variableAt(uri, position) {
+    const document = this.documents.get(uri);
+    const text = document?.lines[position.line] ?? '';
+    for (const match of text.matchAll(/\$([a-zA-Z0-9_-]+)/g)) {
+      if (position.character >= match.index && position.character <= match.index + match[0].length) {
+        return match[1];
+      }
+    }
+    return null;
+  }
+}
+
+function encodeMessage(message) {
+  const body = JSON.stringify(message);
+  return `Content-Length: ${Buffer.byteLength(body, 'utf8')}\r\n\r\n${body}`;
+}
+
+function createDiagnostic(document, problem, severity) {
+  const diagnostic = {
+    range: lineRange(document, problem.line - 1, (problem.column ?? 1) - 1),
+    severity,
+    source: 'boa',
+    message: problem.message,
+  };
+  if (problem.code) {
+    diagnostic.code = problem.code;
+  }
+  return diagnostic;
+}
+
+function lineRange(document, line, character) {
+  return {
+    start: { line, character },
+    end: { line, character: Math.max(character, (document.lines[line] ?? '').length) },
+  };
+}
+
+function createSymbol(node, uri) {
+  const variants = (node.variants ?? []).map((variant) => `${variant.theme}: ${variant.value}`);
+  return {
+    name: node.name,
+    value: [node.value, ...variants].filter(Boolean).join(', '),
+    constant: node.constant,
+    uri,
+    line: node.line - 1,
+    character: node.column - 1,
+  };
+}
+
+function symbolLocation(symbol) {
+  const position = { line: symbol.line, character: symbol.character };
+  return { uri: symbol.uri, range: { start: position, end: position } };
+}
+
+function walk(nodes, visit) {
+  for (const node of nodes) {
+    visit(node);
+    if (node.children) {
+      walk(node.children, visit);
+    }
+    if (node.alternate) {
+      walk([node.alternate], visit);
+    }
+  }
+}
+
+function outline(nodes, document) {
+  const symbols = [];
+  for (const node of nodes) {
+    const kind = SYMBOL_KINDS[node.type === 'variable' && node.constant ? 'constant' : node.type];
+    const children = [
+      ...outline(node.children ?? [], document),
+      ...(node.alternate ? outline([node.alternate], document) : []),
+    ];
+    if (kind === undefined || node.line === undefined) {
+      symbols.push(...children);
+      continue;
+    }
+    const start = { line: node.line - 1, character: node.column - 1 };
+    const lastLine = lastLineOf(node) - 1;
+    symbols.push({
+      name: symbolName(node),
+      kind,
+      range: { start, end: { line: lastLine, character: (document.lines[lastLine] ?? '').length } },
+      selectionRange: { start, end: { line: start.line, character: (document.lines[start.line] ?? '').length } },
+      children,
+    });
+  }
+  return symbols;
+}
+
+function symbolName(node) {
+  switch (node.type) {
+    case 'rule':
+      return node.selector;
+    case 'at-rule':
+      return node.params ? `@${node.name} ${node.params}` : `@${node.name}`;
+    case 'variable':
+      return `$${node.name}`;
+    default:
+      return `@${node.type} ${node.name}`;
+  }
+}
+
+function localBinding(nodes, name, line, nested = false, inFunction = false) {
+  let binding = null;
+  for (const node of nodes) {
+    if (node.line === undefined || node.line > line) {
+      continue;
+    }
+    if (nested && node.type === 'variable' && node.name === name && (node.constant || inFunction)) {
+      binding = `$${name}: ${node.value}${node.constant ? ' !const' : ''}`;
+    }
+    if (!node.children || lastLineOf(node) < line) {
+      continue;
+    }
+    const parameter = node.parameters?.find((candidate) => candidate.name === name);
+    if (parameter) {
+      binding = `@${node.type} ${node.name}($${name}${parameter.defaultValue ? `: ${parameter.defaultValue}` : ''})`;
+    } else if (node.type === 'each' && node.variables.includes(name)) {
+      binding = `@each $${node.variables.join(', $')} in ${node.list}`;
+    } else if (node.type === 'for' && node.variable === name) {
+      binding = `@for $${name} from ${node.from} ${node.inclusive ? 'through' : 'to'} ${node.to}`;
+    }
+    const inner = localBinding(node.alternate ? [...node.children, node.alternate] : node.children, name, line, true, inFunction || node.type === 'function');
+    return inner ?? binding;
+  }
+  return binding;
+}
+
+function lastLineOf(node) {
+  let line = node.line;
+  for (const child of node.children ?? []) {
+    line = Math.max(line, lastLineOf(child));
+  }
+  return node.alternate ? Math.max(line, lastLineOf(node.alternate)) : line;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const PARSE_ERROR = -32700;
+const METHOD_NOT_FOUND = -32601;
+const INTERNAL_ERROR = -32603;
+const FULL_SYNC = 1;
+const ERROR = 1;
+const WARNING = 2;
+const COMPLETION_PROPERTY = 10;
+const COMPLETION_VARIABLE = 6;
+const COMPLETION_CONSTANT = 21;
+const SYMBOL_KINDS = {
+  rule: 5,
+  'at-rule': 3,
+  mixin: 12,
+  function: 12,
+  theme: 3,
+  variable: 13,
+  constant: 14,
+};
+const CSS_PROPERTIES = [
+  'accent-color', 'align-content', 'align-items', 'align-self', 'animation', 'animation-delay', 'animation-direction',
+  'animation-duration', 'animation-fill-mode', 'animation-iteration-count', 'animation-name', 'animation-timing-function',
+  'appearance', 'aspect-ratio', 'backdrop-filter', 'backface-visibility', 'background', 'background-attachment',
+  'background-clip', 'background-color', 'background-image', 'background-position', 'background-repeat', 'background-size',
+  'block-size', 'border', 'border-block', 'border-block-end', 'border-block-start', 'border-bottom', 'border-bottom-left-radius',
+  'border-bottom-right-radius', 'border-collapse', 'border-color', 'border-inline', 'border-inline-end', 'border-inline-start',
+  'border-left', 'border-radius', 'border-right', 'border-spacing', 'border-style', 'border-top', 'border-top-left-radius',
+  'border-top-right-radius', 'border-width', 'bottom', 'box-shadow', 'box-sizing', 'caret-color', 'clip-path', 'color',
+  'color-scheme', 'column-gap', 'columns', 'container', 'container-name', 'container-type', 'content', 'counter-increment',
+  'counter-reset', 'cursor', 'display', 'fill', 'filter', 'flex', 'flex-basis', 'flex-direction', 'flex-flow', 'flex-grow',
+  'flex-shrink', 'flex-wrap', 'float', 'font', 'font-family', 'font-feature-settings', 'font-size', 'font-style',
+  'font-variant', 'font-variation-settings', 'font-weight', 'gap', 'grid', 'grid-area', 'grid-auto-columns', 'grid-auto-flow',
+  'grid-auto-rows', 'grid-column', 'grid-column-end', 'grid-column-start', 'grid-row', 'grid-row-end', 'grid-row-start',
+  'grid-template', 'grid-template-areas', 'grid-template-columns', 'grid-template-rows', 'height', 'hyphens', 'inline-size',
+  'inset', 'inset-block', 'inset-inline', 'isolation', 'justify-content', 'justify-items', 'justify-self', 'left',
+  'letter-spacing', 'line-clamp', 'line-height', 'list-style', 'list-style-position', 'list-style-type', 'margin',
+  'margin-block', 'margin-block-end', 'margin-block-start', 'margin-bottom', 'margin-inline', 'margin-inline-end',
+  'margin-inline-start', 'margin-left', 'margin-right', 'margin-top', 'mask', 'max-block-size', 'max-height',
+  'max-inline-size', 'max-width', 'min-block-size', 'min-height', 'min-inline-size', 'min-width', 'mix-blend-mode',
+  'object-fit', 'object-position', 'opacity', 'order', 'outline', 'outline-color', 'outline-offset', 'outline-style',
+  'outline-width', 'overflow', 'overflow-wrap', 'overflow-x', 'overflow-y', 'overscroll-behavior', 'padding', 'padding-block',
+  'padding-block-end', 'padding-block-start', 'padding-bottom', 'padding-inline', 'padding-inline-end', 'padding-inline-start',
+  'padding-left', 'padding-right', 'padding-top', 'place-content', 'place-items', 'place-self', 'pointer-events', 'position',
+  'quotes', 'resize', 'right', 'rotate', 'row-gap', 'scale', 'scroll-behavior', 'scroll-margin', 'scroll-padding',
+  'scroll-snap-align', 'scroll-snap-type', 'scrollbar-color', 'scrollbar-gutter', 'scrollbar-width', 'stroke', 'stroke-width',
+  'tab-size', 'table-layout', 'text-align', 'text-decoration', 'text-decoration-color', 'text-decoration-line',
+  'text-decoration-thickness', 'text-indent', 'text-overflow', 'text-shadow', 'text-transform', 'text-underline-offset',
+  'text-wrap', 'top', 'touch-action', 'transform', 'transform-origin', 'transition', 'transition-delay', 'transition-duration',
+  'transition-property', 'transition-timing-function', 'translate', 'user-select', 'vertical-align', 'view-transition-name',
+  'visibility', 'white-space', 'width', 'will-change', 'word-break', 'word-spacing', 'writing-mode', 'z-index',
+];
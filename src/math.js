@@ -0,0 +1,391 @@
+import { BoaCompilerError } from './errors.js';
+
+export function evaluateMath(text, scope, location, division = 'always') {
+  return new MathEvaluator(scope, location, division).rewrite(text);
+}
+
+class MathEvaluator {
+  constructor(scope, location, division) {
+    this.scope = scope;
+    this.location = location;
+    this.division = division;
+  }
+
+  rewrite(text) {
+    const tokens = tokenize(text);
+    let output = '';
+    let i = 0;
+    while (i < tokens.length) {
+      const run = this.matchExpression(tokens, i);
+      if (run) {
+        output += this.divides(run.items) ? formatResult(this.evaluate(run.items)) : this.separate(run.items);
+        i = run.end;
+        continue;
+      }
+      output += this.raw(tokens[i]);
+      i += 1;
+    }
+    return output;
+  }
+
+  raw(token) {
+    if (token.type === 'group') {
+      return `${token.negate ? '-' : ''}(${this.rewrite(token.inner)})`;
+    }
+    if (token.type === 'function' && !RUNTIME_FUNCTIONS.has(token.name.toLowerCase()) && token.name.toLowerCase() !== 'url') {
+      const evaluator = SLASH_FUNCTIONS.has(token.name.toLowerCase()) ? new MathEvaluator(this.scope, this.location, 'grouped') : this;
+      return `${token.name}(${evaluator.rewrite(token.inner)})`;
+    }
+    return token.text;
+  }
+
+  matchExpression(tokens, start) {
+    const run = this.matchRun(tokens, start, false);
+    if (!run) {
+      return null;
+    }
+    const divisionOnly = run.items.every((item) => item.type !== 'operator' || item.text === '/');
+    const named = run.items.some((item) => item.type === 'variable' || item.type === 'group');
+    return !divisionOnly || named ? run : null;
+  }
+
+  divides(items) {
+    return this.division === 'always' || !items.some((item) => item.type === 'operator' && item.text === '/');
+  }
+
+  separate(items) {
+    const segments = [[]];
+    for (const item of items) {
+      if (item.type === 'operator' && item.text === '/') {
+        segments.push([]);
+      } else {
+        segments[segments.length - 1].push(item);
+      }
+    }
+    return segments
+      .map((segment) => (segment.length === 1 && !segment[0].negate && segment[0].type !== 'group'
+        ? this.raw(segment[0])
+        : formatResult(this.evaluate(segment))))
+      .join(' / ');
+  }
+
+  matchRun(tokens, start, grouped) {
+    if (!this.isOperand(tokens[start])) {
+      return null;
+    }
+    const items = [tokens[start]];
+    let end = start + 1;
+    while (true) {
+      const operatorIndex = skipSpace(tokens, end);
+      const operator = tokens[operatorIndex];
+      if (!operator || operator.type !== 'operator') {
+        break;
+      }
+      if (operator.text === '/' && !grouped && !(isSpace(tokens[operatorIndex - 1]) && isSpace(tokens[operatorIndex + 1]))) {
+        break;
+      }
+      const operandIndex = skipSpace(tokens, operatorIndex + 1);
+      if (!this.isOperand(tokens[operandIndex])) {
+        break;
+      }
+      items.push(operator, tokens[operandIndex]);
+      end = operandIndex + 1;
+    }
+    const single = items[0];
+    if (items.length === 1 && !single.negate && single.type !== 'group') {
+      return null;
+    }
+    return { items, end };
+  }
+
+  isOperand(token) {
+    if (!token) {
+      return false;
+    }
+    if (token.type === 'number' || token.type === 'variable') {
+      return true;
+    }
+    if (token.type === 'function') {
+      return RUNTIME_FUNCTIONS.has(token.name.toLowerCase());
+    }
+    if (token.type === 'group') {
+      if (token.math === undefined) {
+        const tokens = tokenize(token.inner);
+        const first = skipSpace(tokens, 0);
+        const run = this.matchRun(tokens, first, true);
+        token.math = run !== null && skipSpace(tokens, run.end) === tokens.length ? run.items : null;
+      }
+      return token.math !== null;
+    }
+    return false;
+  }
+
+  evaluate(items) {
+    const values = [];
+    const operators = [];
+    const reduce = () => {
+      const right = values.pop();
+      const left = values.pop();
+      values.push(this.apply(left, operators.pop(), right));
+    };
+    for (const item of items) {
+      if (item.type !== 'operator') {
+        values.push(this.operand(item));
+        continue;
+      }
+      while (operators.length > 0 && PRECEDENCE[operators[operators.length - 1]] >= PRECEDENCE[item.text]) {
+        reduce();
+      }
+      operators.push(item.text);
+    }
+    while (operators.length > 0) {
+      reduce();
+    }
+    return values[0];
+  }
+
+  operand(token) {
+    let value;
+    if (token.type === 'number') {
+      value = parseNumber(token.text);
+    } else if (token.type === 'group') {
+      value = this.evaluate(token.math);
+    } else if (token.type === 'function') {
+      value = runtime(token.text);
+    } else {
+      value = this.variable(token.name);
+    }
+    return token.negate ? this.apply({ value: -1, unit: '' }, '*', value) : value;
+  }
+
+  variable(name) {
+    const constant = this.scope.lookup(name);
+    if (constant === undefined) {
+      return runtime(this.scope.reference(name));
+    }
+    const value = constant.trim();
+    const number = parseNumber(value);
+    if (number) {
+      return number;
+    }
+    const call = value.match(/^([a-zA-Z-]+)\(/);
+    if (call && RUNTIME_FUNCTIONS.has(call[1].toLowerCase()) && closingParen(value, call[0].length - 1) === value.length - 1) {
+      return runtime(value);
+    }
+    throw new BoaCompilerError('invalid-expression', `Cannot use $${name} ("${value}") in arithmetic: it is not a number`, this.location);
+  }
+
+  apply(left, operator, right) {
+    if (left.text !== undefined || right.text !== undefined) {
+      return combine(left, operator, right);
+    }
+    switch (operator) {
+      case '+':
+      case '-':
+        return this.add(left, operator, right);
+      case '*':
+        if (left.unit && right.unit) {
+          throw this.unitError(left, operator, right, 'only one side of "*" may have a unit');
+        }
+        return { value: left.value * right.value, unit: left.unit || right.unit };
+      default:
+        return this.divide(left, right);
+    }
+  }
+
+  add(left, operator, right) {
+    const sign = operator === '+' ? 1 : -1;
+    if (left.unit === right.unit) {
+      return { value: left.value + sign * right.value, unit: left.unit };
+    }
+    const a = unitInfo(left.unit);
+    const b = unitInfo(right.unit);
+    if (!left.unit || !right.unit || a.kind !== b.kind) {
+      throw this.unitError(left, operator, right, `${describeUnit(left.unit)} and ${describeUnit(right.unit)} are not compatible`);
+    }
+    if (a.factor === null || b.factor === null) {
+      return combine(left, operator, right);
+    }
+    return { value: left.value + (sign * right.value * b.factor) / a.factor, unit: left.unit };
+  }
+
+  divide(left, right) {
+    if (right.value === 0) {
+      throw new BoaCompilerError('invalid-expression', `Division by zero in "${formatNumber(left)} / ${formatNumber(right)}"`, this.location);
+    }
+    if (!right.unit) {
+      return { value: left.value / right.value, unit: left.unit };
+    }
+    if (left.unit === right.unit) {
+      return { value: left.value / right.value, unit: '' };
+    }
+    const a = unitInfo(left.unit);
+    const b = unitInfo(right.unit);
+    if (left.unit && a.kind === b.kind && a.factor !== null && b.factor !== null) {
+      return { value: (left.value * a.factor) / (right.value * b.factor), unit: '' };
+    }
+    throw this.unitError(left, '/', right, `cannot divide ${describeUnit(left.unit)} by ${right.unit}`);
+  }
+
+  unitError(left, operator, right, reason) {
+    return new BoaCompilerError('incompatible-units', `Incompatible units in "${formatNumber(left)} ${operator} ${formatNumber(right)}": ${reason}`, this.location);
+  }
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    const rest = text.slice(i);
+    const previous = tokens[tokens.length - 1];
+    const boundary = !previous || previous.type === 'space' || previous.type === 'operator' || previous.type === 'comma';
+    let match;
+    if (/\s/.test(ch)) {
+      match = rest.match(/^\s+/);
+      tokens.push({ type: 'space', text: match[0] });
+    } else if (ch === '"' || ch === '\'') {
+      const end = closingQuote(text, i);
+      tokens.push({ type: 'string', text: text.slice(i, end + 1) });
+    } else if (ch === ',') {
+      tokens.push({ type: 'comma', text: ch });
+    } else if (ch === '*' || ch === '/' || ch === '+' || (ch === '-' && boundary && /^-(\s|$)/.test(rest))) {
+      tokens.push({ type: 'operator', text: ch });
+    } else if (boundary && (match = rest.match(/^(-?)\(/))) {
+      const end = closingParen(text, i + match[1].length);
+      tokens.push({ type: 'group', text: text.slice(i, end + 1), inner: text.slice(i + match[0].length, end), negate: match[1] === '-' });
+    } else if (boundary && (match = rest.match(/^(-?)\$([a-zA-Z0-9_-]+)/))) {
+      tokens.push({ type: 'variable', text: match[0], name: match[2], negate: match[1] === '-' });
+    } else if (boundary && (match = rest.match(/^-?(?:\d+(?:\.\d+)?|\.\d+)(?:%|[a-zA-Z]+)?/))) {
+      tokens.push({ type: 'number', text: match[0] });
+    } else if ((match = rest.match(/^(-?[a-zA-Z_][a-zA-Z0-9_-]*)\(/))) {
+      const end = closingParen(text, i + match[1].length);
+      tokens.push({ type: 'function', text: text.slice(i, end + 1), name: match[1], inner: text.slice(i + match[0].length, end) });
+    } else {
+      match = rest.match(/^[^\s,()'"*/]+/) ?? [ch];
+      tokens.push({ type: 'word', text: match[0] });
+    }
+    i += tokens[tokens.length - 1].text.length;
+  }
+  return tokens;
+}
+
+function closingParen(text, open) {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"' || ch === '\'') {
+      i = closingQuote(text, i);
+    } else if (ch === '(') {
+      depth += 1;
+    } else if (ch === ')') {
+      depth -= 1;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return text.length - 1;
+}
+
+function closingQuote(text, open) {
+  for (let i = open + 1; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i += 1;
+    } else if (text[i] === text[open]) {
+      return i;
+    }
+  }
+  return text.length - 1;
+}
+
+function skipSpace(tokens, index) {
+  let i = index;
+  while (isSpace(tokens[i])) {
+    i += 1;
+  }
+  return i;
+}
+
+function isSpace(token) {
+  return token !== undefined && token.type === 'space';
+}
+
+function parseNumber(value) {
+  const match = value.match(/^(-?(?:\d+(?:\.\d+)?|\.\d+))(%|[a-zA-Z]+)?$/);
+  return match ? { value: Number(match[1]), unit: match[2] ?? '' } : null;
+}
+
+function runtime(text) {
+  const call = text.match(/^calc\(/i);
+  if (call && closingParen(text, call[0].length - 1) === text.length - 1) {
+    return { text: `(${text.slice(call[0].length, -1).trim()})`, precedence: 3 };
+  }
+  return { text, precedence: 3 };
+}
+
+function combine(left, operator, right) {
+  const precedence = PRECEDENCE[operator];
+  const leftText = operandText(left, left.precedence !== undefined && left.precedence < precedence);
+  const rightPrecedence = right.precedence ?? 3;
+  const rightText = operandText(right, rightPrecedence < precedence || (rightPrecedence === precedence && (operator === '-' || operator === '/')));
+  return { text: `${leftText} ${operator} ${rightText}`, precedence };
+}
+
+function operandText(value, parenthesize) {
+  const text = value.text ?? formatNumber(value);
+  return parenthesize ? `(${text})` : text;
+}
+
+function formatResult(result) {
+  return result.text === undefined ? formatNumber(result) : `calc(${result.text})`;
+}
+
+function formatNumber({ value, unit }) {
+  return `${Number(value.toFixed(4)) || 0}${unit}`;
+}
+
+function unitInfo(unit) {
+  const lower = unit.toLowerCase();
+  if (ABSOLUTE_UNITS[lower]) {
+    const [kind, factor] = ABSOLUTE_UNITS[lower];
+    return { kind, factor };
+  }
+  if (RELATIVE_LENGTH.test(lower)) {
+    return { kind: 'length', factor: null };
+  }
+  return { kind: lower, factor: null };
+}
+
+function describeUnit(unit) {
+  return unit ? unit : 'a unitless number';
+}
+
+const PRECEDENCE = { '+': 1, '-': 1, '*': 2, '/': 2 };
+
+const RUNTIME_FUNCTIONS = new Set(['calc', 'min', 'max', 'clamp', 'var', 'env']);
+const SLASH_FUNCTIONS = new Set(['rgb', 'rgba', 'hsl', 'hsla', 'hwb', 'lab', 'lch', 'oklab', 'oklch', 'color']);
+
+const ABSOLUTE_UNITS = {
+  px: ['length', 1],
+  in: ['length', 96],
+  cm: ['length', 96 / 2.54],
+  mm: ['length', 96 / 25.4],
+  q: ['length', 96 / 101.6],
+  pt: ['length', 4 / 3],
+  pc: ['length', 16],
+  s: ['time', 1000],
+  ms: ['time', 1],
+  deg: ['angle', 1],
+  grad: ['angle', 0.9],
+  rad: ['angle', 180 / Math.PI],
+  turn: ['angle', 360],
+  hz: ['frequency', 1],
+  khz: ['frequency', 1000],
+  dpi: ['resolution', 1],
+  dpcm: ['resolution', 2.54],
+  dppx: ['resolution', 96],
+  x: ['resolution', 96],
+};
+
+const RELATIVE_LENGTH = /^(%|r?em|r?ex|r?cap|r?ch|r?ic|r?lh|[sld]?v(?:w|h|i|b|min|max)|cq(?:w|h|i|b|min|max))$/;
@@ -0,0 +1,532 @@
+import { COLOR_FUNCTIONS } from './colors.js';
+import { print } from './compiler.js';
+import { parseCss, splitTopLevel } from './css-parser.js';
+
+export function migrate(source, options = {}) {
+  const syntax = options.syntax ?? (options.filename?.endsWith('.sass') ? 'sass' : 'scss');
+  if (syntax !== 'sass' && syntax !== 'scss') {
+    throw new Error(`Unknown syntax "${syntax}" (expected "sass" or "scss")`);
+  }
+  const tree = syntax === 'sass'
+    ? parseIndented(source)
+    : parseCss(source, { filename: options.filename, syntax: 'scss' });
+  const migrator = new Migrator(tree);
+  const nodes = migrator.convert();
+  return {
+    code: print(nodes, { indent: options.indent }),
+    todos: migrator.todos,
+  };
+}
+
+class Migrator {
+  constructor(tree) {
+    this.tree = tree;
+    this.todos = [];
+    this.definitions = new Map();
+    this.constants = new Set();
+    this.namespaces = new Set();
+    this.maps = new Set();
+  }
+
+  convert() {
+    this.analyze(this.tree);
+    const pending = [...this.constants];
+    while (pending.length > 0) {
+      const name = pending.pop();
+      for (const dependency of this.definitions.get(name)?.dependencies ?? []) {
+        if (!this.constants.has(dependency)) {
+          this.constants.add(dependency);
+          pending.push(dependency);
+        }
+      }
+    }
+    return this.convertNodes(this.tree, null);
+  }
+
+  analyze(nodes) {
+    for (const node of nodes) {
+      if (node.type === 'declaration') {
+        const definition = node.property.match(/^\$([\w-]+)$/);
+        const references = variableReferences(node.value);
+        if (definition) {
+          const name = definition[1];
+          const entry = this.definitions.get(name) ?? { count: 0, dependencies: new Set() };
+          entry.count += 1;
+          references.forEach((reference) => entry.dependencies.add(reference));
+          this.definitions.set(name, entry);
+          if (isSassMap(node.value)) {
+            this.maps.add(name);
+          }
+          if (/^\(/.test(node.value.trim()) || needsCompileTime(node.value)) {
+            this.markConstant([name, ...references]);
+          }
+        } else {
+          if (needsCompileTime(node.value)) {
+            this.markConstant(references);
+          }
+          this.markConstant(interpolatedReferences(node.property));
+        }
+      } else if (node.type === 'rule') {
+        this.markConstant(interpolatedReferences(node.selector));
+        this.analyze(node.children);
+      } else if (node.type === 'at-rule') {
+        if (COMPILE_TIME_AT_RULES.has(node.name)) {
+          this.markConstant(variableReferences(node.params));
+        } else {
+          this.markConstant(interpolatedReferences(node.params));
+        }
+        if (node.name === 'use') {
+          const namespace = useNamespace(node.params);
+          if (namespace) {
+            this.namespaces.add(namespace);
+          }
+        }
+        if (node.children) {
+          this.analyze(node.children);
+        }
+      }
+    }
+  }
+
+  markConstant(names) {
+    names.forEach((name) => this.constants.add(name));
+  }
+
+  convertNodes(nodes, parent) {
+    const converted = [];
+    for (const node of nodes) {
+      if (node.type === 'comment') {
+        const comments = convertComment(node.text, node.line);
+        const previous = converted[converted.length - 1];
+        if (node.trailing && comments.length === 1 && previous && !previous.comment) {
+          previous.comment = comments[0].comment;
+        } else {
+          converted.push(...comments);
+        }
+      } else if (node.type === 'declaration') {
+        converted.push(...this.convertDeclaration(node));
+      } else if (node.type === 'rule') {
+        converted.push(...this.convertRule(node, parent));
+      } else if (node.name === 'else') {
+        this.attachElse(node, converted);
+      } else {
+        converted.push(...this.convertAtRule(node));
+      }
+    }
+    return converted;
+  }
+
+  convertDeclaration(node) {
+    const definition = node.property.match(/^\$([\w-]+)$/);
+    if (!definition) {
+      const value = this.convertValue(node.value);
+      const declaration = { type: 'declaration', property: this.convertValue(node.property), value, line: node.line };
+      const sassFunction = findSassFunction(value);
+      if (sassFunction) {
+        return [this.todo(`Sass function ${sassFunction}() has no Boa equivalent; replace it with a literal or a native CSS function.`, node), declaration];
+      }
+      return [declaration];
+    }
+
+    const name = definition[1];
+    if (isSassMap(node.value)) {
+      return this.unsupported(`Sass maps have no Boa equivalent; split $${name} into separate variables or a list.`, { ...node, raw: `${node.property}: ${node.value}` });
+    }
+    let value = node.value;
+    const todos = [];
+    const sassFunction = findSassFunction(value);
+    if (sassFunction) {
+      todos.push(this.todo(`Sass function ${sassFunction}() has no Boa equivalent; replace it with a literal or a native CSS function.`, node));
+    }
+    if (/\s*!global\b/.test(value)) {
+      value = value.replace(/\s*!global\b/g, '');
+      todos.push(this.todo(`!global has no Boa equivalent; move $${name} to the top level.`, node));
+    }
+    if (/\s*!default\b/.test(value)) {
+      value = value.replace(/\s*!default\b/g, '');
+      if (this.definitions.get(name)?.count > 1) {
+        todos.push(this.todo(`$${name} was declared with !default; Boa has no defaults, so check which assignment should win.`, node));
+      }
+    }
+    return [...todos, {
+      type: 'variable',
+      name,
+      value: this.convertValue(unwrapList(value.trim())),
+      constant: this.constants.has(name),
+      line: node.line,
+    }];
+  }
+
+  convertRule(node, parent) {
+    if (/^[\w-]+:$/.test(node.selector) && node.children.every((child) => child.type === 'declaration' || child.type === 'comment')) {
+      const prefix = node.selector.slice(0, -1);
+      return this.convertNodes(node.children.map((child) => (child.type === 'declaration'
+        ? { ...child, property: `${prefix}-${child.property}`, line: node.line }
+        : child)), parent);
+    }
+
+    const parts = splitTopLevel(node.selector, ',').map((part) => part.trim());
+    if (parts.some((part) => part.startsWith('%'))) {
+      if (parts.length > 1 || !/^%[\w-]+$/.test(parts[0])) {
+        return [this.todo('Placeholder selectors can only be migrated on their own; split this rule.', node)];
+      }
+      return [{ type: 'mixin', name: parts[0].slice(1), parameters: [], children: this.convertNodes(node.children, null), line: node.line }];
+    }
+
+    const rule = { type: 'rule', selector: node.selector, children: [], line: node.line };
+    const hoisted = [];
+    for (const child of this.convertNodes(node.children, rule)) {
+      if (child.suffixes) {
+        const { suffixes, ...rest } = child;
+        hoisted.push({ ...rest, selector: parts.flatMap((part) => suffixes.map((suffix) => `${part}${suffix}`)).join(', ') });
+      } else {
+        rule.children.push(child);
+      }
+    }
+    return [rule, ...hoisted].flatMap((candidate) => this.markSuffixes(candidate, parent));
+  }
+
+  markSuffixes(rule, parent) {
+    const parts = splitTopLevel(rule.selector, ',').map((part) => part.trim());
+    if (!parts.some((part) => /^&[\w-]/.test(part))) {
+      return [rule];
+    }
+    if (parent && parts.every((part) => /^&[\w-]/.test(part))) {
+      return [{ ...rule, suffixes: parts.map((part) => part.slice(1)) }];
+    }
+    return [this.todo('Suffix selectors (&-name) only migrate inside a rule and cannot share a list with other selectors; rewrite this selector.', rule), rule];
+  }
+
+  attachElse(node, converted) {
+    let target = converted[converted.length - 1];
+    while (target && target.alternate) {
+      target = target.alternate;
+    }
+    if (!target || (target.type !== 'if' && target.type !== 'else') || (target.type === 'else' && target.condition === null)) {
+      converted.push(this.todo('@else without a matching @if.', node), ...commentOut(node.raw));
+      return;
+    }
+    const elseIf = node.params.match(/^if\s+([\s\S]+)$/);
+    target.alternate = {
+      type: 'else',
+      condition: elseIf ? this.convertValue(elseIf[1]) : null,
+      alternate: null,
+      children: this.convertNodes(node.children ?? [], null),
+      line: node.line,
+    };
+  }
+
+  convertAtRule(node) {
+    const children = () => (node.children ? this.convertNodes(node.children, null) : []);
+    const params = this.convertValue(node.params);
+
+    switch (node.name) {
+      case 'if':
+        return [{ type: 'if', condition: params, alternate: null, children: children(), line: node.line }];
+      case 'extend': {
+        const target = params.replace(/\s*!optional\s*$/, '');
+        if (/^%[\w-]+$/.test(target)) {
+          return [{ type: 'include', name: target.slice(1), args: [], children: [], line: node.line }];
+        }
+        return this.unsupported(`@extend ${target} has no Boa equivalent; turn the extended rule into a @mixin and @include it.`, node);
+      }
+      case 'mixin':
+      case 'function':
+        if (params.includes('...')) {
+          return this.unsupported(`${node.name === 'mixin' ? 'Mixins' : 'Functions'} with variable arguments (...) are not supported.`, node);
+        }
+        break;
+      case 'each': {
+        const list = node.params.match(/\bin\s+([\s\S]+)$/)?.[1].trim() ?? '';
+        if (isSassMap(list) || this.maps.has(list.match(/^\$([\w-]+)$/)?.[1])) {
+          return this.unsupported('@each over a Sass map has no Boa equivalent; loop over a list instead.', node);
+        }
+        break;
+      }
+      case 'include':
+        if (/\busing\s*\(/.test(params)) {
+          return this.unsupported('@include ... using (...) is not supported.', node);
+        }
+        break;
+      case 'content':
+        if (params) {
+          return this.unsupported('@content with arguments is not supported.', node);
+        }
+        break;
+      case 'use': {
+        const target = params.match(/^(['"])(.+?)\1/);
+        if (!target || target[2].startsWith('sass:')) {
+          return this.unsupported(`${target ? `Built-in module "${target[2]}"` : 'This @use'} has no Boa equivalent.`, node);
+        }
+        const use = { type: 'at-rule', name: 'use', params: quoteTarget(stripExtension(target[2])), children: [], line: node.line };
+        if (/\bwith\s*\(/.test(params)) {
+          return [this.todo('@use ... with (...) is not supported; set the variables in the used file instead.', node), use];
+        }
+        return [use];
+      }
+      case 'import':
+        return [{
+          type: 'at-rule',
+          name: 'import',
+          params: splitTopLevel(params, ',')
+            .map((target) => target.trim().replace(/^(['"])(.+)\1$/, (match, quote, path) => (path.endsWith('.css') ? match : quoteTarget(stripExtension(path)))))
+            .join(', '),
+          children: [],
+          line: node.line,
+        }];
+      default:
+        if (UNSUPPORTED_AT_RULES.has(node.name)) {
+          return this.unsupported(`@${node.name} has no Boa equivalent.`, node);
+        }
+    }
+    return [{ type: 'at-rule', name: node.name, params, children: children(), line: node.line }];
+  }
+
+  convertValue(value) {
+    return value.replace(/\b([\w-]+)\.(\$?[\w-]+)/g, (match, namespace, member) => (this.namespaces.has(namespace) ? member : match));
+  }
+
+  todo(message, node) {
+    this.todos.push({ line: node.line ?? null, message });
+    const text = `TODO(boa): ${message}`;
+    return { type: 'comment', comment: { kind: 'line', text, raw: `// ${text}` }, line: node.line };
+  }
+
+  unsupported(message, node) {
+    return [this.todo(message, node), ...commentOut(node.raw ?? `@${node.name} ${node.params}`, node.line)];
+  }
+}
+
+function parseIndented(source) {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  const root = [];
+  const stack = [{ indent: -1, children: root }];
+  const indentOf = (line) => line.length - line.trimStart().length;
+  const blockEnd = (start, indent) => {
+    let end = start + 1;
+    while (end < lines.length && (lines[end].trim() === '' || indentOf(lines[end]) > indent)) {
+      end += 1;
+    }
+    while (end > start + 1 && lines[end - 1].trim() === '') {
+      end -= 1;
+    }
+    return end;
+  };
+
+  for (let index = 0; index < lines.length; index++) {
+    const trimmed = lines[index].trim();
+    if (trimmed === '') {
+      continue;
+    }
+    const indent = indentOf(lines[index]);
+    while (stack.length > 1 && indent <= stack[stack.length - 1].indent) {
+      stack.pop();
+    }
+    const siblings = stack[stack.length - 1].children;
+    const line = index + 1;
+
+    if (trimmed.startsWith('//') || trimmed.startsWith('/*')) {
+      const end = blockEnd(index, indent);
+      const text = [trimmed.slice(2), ...lines.slice(index + 1, end).map((part) => part.trim())]
+        .join('\n')
+        .replace(/\*\/\s*$/, '');
+      siblings.push({ type: 'comment', kind: trimmed.startsWith('//') ? 'line' : 'block', text, line: end });
+      index = end - 1;
+      continue;
+    }
+
+    let content = trimmed;
+    const start = index;
+    while (content.endsWith(',') && index + 1 < lines.length && lines[index + 1].trim() && indentOf(lines[index + 1]) === indent) {
+      index += 1;
+      content = `${content} ${lines[index].trim()}`;
+    }
+    const { main, comment } = splitLineComment(content);
+    const hasChildren = blockEnd(index, indent) > index + 1;
+    const raw = lines.slice(start, hasChildren ? blockEnd(index, indent) : index + 1)
+      .map((part) => part.slice(Math.min(indent, indentOf(part))))
+      .join('\n');
+    const node = parseIndentedStatement(main, hasChildren, raw, line);
+    siblings.push(node);
+    if (comment !== null) {
+      siblings.push({ type: 'comment', kind: 'line', text: comment, trailing: true, line });
+    }
+    if (hasChildren && node.children) {
+      stack.push({ indent, children: node.children });
+    }
+  }
+  return root;
+}
+
+function parseIndentedStatement(content, hasChildren, raw, line) {
+  const shorthand = content.match(/^([=+])\s*([a-zA-Z_][\s\S]*)$/);
+  if (shorthand || content.startsWith('@')) {
+    const [name, params] = shorthand
+      ? [shorthand[1] === '=' ? 'mixin' : 'include', shorthand[2]]
+      : [content.slice(1).match(/^[\w-]*/)[0], content.slice(1).replace(/^[\w-]*/, '').trim()];
+    return { type: 'at-rule', name, params, children: hasChildren ? [] : null, line, raw };
+  }
+  const oldProperty = content.match(/^:([\w-]+)\s+([\s\S]+)$/);
+  if (oldProperty) {
+    return { type: 'declaration', property: oldProperty[1], value: oldProperty[2], line };
+  }
+  const colon = content.search(/:(\s|$)/);
+  if (colon > 0 && (!hasChildren || content.startsWith('$'))) {
+    return { type: 'declaration', property: content.slice(0, colon).trim(), value: content.slice(colon + 1).trim(), line };
+  }
+  return { type: 'rule', selector: content, children: [], line };
+}
+
+function splitLineComment(content) {
+  let quote = null;
+  let depth = 0;
+  for (let i = 0; i < content.length; i++) {
+    const ch = content[i];
+    if (quote) {
+      if (ch === quote) {
+        quote = null;
+      }
+      continue;
+    }
+    if (ch === '"' || ch === '\'') {
+      quote = ch;
+    } else if (ch === '(') {
+      depth += 1;
+    } else if (ch === ')') {
+      depth = Math.max(0, depth - 1);
+    } else if (ch === '/' && content[i + 1] === '/' && depth === 0 && content[i - 1] !== ':') {
+      return { main: content.slice(0, i).trim(), comment: content.slice(i + 2).trim() };
+    }
+  }
+  return { main: content, comment: null };
+}
+
+function convertComment(text, line) {
+  const lines = text
+    .split('\n')
+    .map((part) => part.trim().replace(/^\*\s?/, '').trim())
+    .filter((part, index, all) => part.length > 0 || (index > 0 && index < all.length - 1));
+  return (lines.length > 0 ? lines : ['']).map((part) => ({
+    type: 'comment',
+    comment: { kind: 'line', text: part, raw: part ? `// ${part}` : '//' },
+    line,
+  }));
+}
+
+function commentOut(raw, line) {
+  const lines = raw.split('\n');
+  const indent = Math.min(...lines.filter((part) => part.trim()).map((part) => part.length - part.trimStart().length));
+  return lines
+    .filter((part) => part.trim())
+    .map((part) => {
+      const text = part.slice(indent).replace(/\t/g, '  ').trimEnd();
+      return { type: 'comment', comment: { kind: 'line', text, raw: `// ${text}` }, line };
+    });
+}
+
+function variableReferences(text) {
+  return [...text.matchAll(/(?:[\w-]+\.)?\$([\w-]+)/g)].map((match) => match[1]);
+}
+
+function interpolatedReferences(text) {
+  return [...text.matchAll(/#\{([^}]*)\}/g)].flatMap((match) => variableReferences(match[1]));
+}
+
+function needsCompileTime(value) {
+  const outsideCalc = value.replace(/calc\((?:[^()]|\([^()]*\))*\)/g, '');
+  return /\$[\w-]+\s*[+*/%]|\$[\w-]+\s+-\s|[+*/%]\s*\$[\w-]|\s-\s+\$[\w-]|(^|[\s(,])-\$[\w-]/.test(outsideCalc)
+    || findSassFunction(outsideCalc) !== null
+    || COLOR_FUNCTIONS.some((name) => new RegExp(`(?<![\\w-])${name}\\(`).test(outsideCalc));
+}
+
+function isSassMap(value) {
+  const text = value.replace(/\s*!(?:default|global)\b/g, '').trim();
+  if (!text.startsWith('(') || !text.endsWith(')')) {
+    return false;
+  }
+  return splitTopLevel(text.slice(1, -1), ',').some((entry) => /^\s*(?:[\w-]+|'[^']*'|"[^"]*")\s*:/.test(entry));
+}
+
+function unwrapList(value) {
+  if (!value.startsWith('(') || !value.endsWith(')')) {
+    return value;
+  }
+  let depth = 0;
+  for (let i = 0; i < value.length - 1; i++) {
+    depth += value[i] === '(' ? 1 : value[i] === ')' ? -1 : 0;
+    if (depth === 0) {
+      return value;
+    }
+  }
+  const inner = value.slice(1, -1).trim();
+  return splitTopLevel(inner, ',').length > 1 ? inner : value;
+}
+
+function findSassFunction(value) {
+  for (const match of value.matchAll(/(?<![\w-])([a-z][\w-]*(?:\.[a-z][\w-]*)?)\(/g)) {
+    const name = match[1];
+    if (name.includes('.') || SASS_FUNCTIONS.has(name)) {
+      return name;
+    }
+    if (name === 'rgb' && /^\(\s*[^,()]+\s*,\s*[^,()]+\)/.test(value.slice(match.index + name.length))) {
+      return name;
+    }
+  }
+  return null;
+}
+
+function useNamespace(params) {
+  const alias = params.match(/\bas\s+([\w-]+|\*)/);
+  if (alias) {
+    return alias[1] === '*' ? null : alias[1];
+  }
+  const target = params.match(/^(['"])(.+?)\1/);
+  return target ? target[2].split('/').pop().replace(/^_/, '').replace(/\.(scss|sass)$/, '') : null;
+}
+
+function stripExtension(path) {
+  return path.replace(/\.(scss|sass)$/, '');
+}
+
+function quoteTarget(path) {
+  return path.includes('\'') ? `"${path}"` : `'${path}'`;
+}
+
+const COMPILE_TIME_AT_RULES = new Set(['media', 'supports', 'container', 'if', 'else', 'each', 'for', 'while']);
+const UNSUPPORTED_AT_RULES = new Set(['at-root', 'debug', 'error', 'forward', 'warn', 'while']);
+const SASS_FUNCTIONS = new Set([
+  'adjust-color',
+  'adjust-hue',
+  'append',
+  'change-color',
+  'comparable',
+  'complement',
+  'desaturate',
+  'fade-in',
+  'fade-out',
+  'if',
+  'index',
+  'join',
+  'length',
+  'lightness',
+  'map-get',
+  'map-has-key',
+  'map-keys',
+  'map-merge',
+  'map-values',
+  'nth',
+  'opacify',
+  'percentage',
+  'quote',
+  'saturate',
+  'scale-color',
+  'str-index',
+  'str-slice',
+  'to-lower-case',
+  'to-upper-case',
+  'transparentize',
+  'type-of',
+  'unit',
+  'unitless',
+  'unquote',
+]);
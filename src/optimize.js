@@ -0,0 +1,237 @@
+import { parseCss } from './css-parser.js';
+
+export function optimizeCss(css, options = {}) {
+  const nodes = optimizeBlock(parseCss(css));
+  if (options.minify) {
+    return nodes.map((node) => minifyNode(node)).join('');
+  }
+  const sourceLines = css.split('\n');
+  const printer = new CssPrinter(options.indent ?? '  ');
+  nodes.forEach((node, index) => {
+    if (index > 0 && !isTrailingComment(node) && sourceLines[node.line - 2]?.trim() === '') {
+      printer.lines.push('');
+    }
+    printer.printNode(node, nodes[index + 1], 0);
+  });
+  return `${printer.lines.join('\n')}\n`;
+}
+
+function optimizeBlock(nodes) {
+  const result = [];
+  for (const node of nodes.map((child) => optimizeNode(child)).filter((child) => !isEmpty(child))) {
+    const previous = result[result.length - 1];
+    if (previous && canMerge(previous, node)) {
+      result[result.length - 1] = optimizeNode({ ...previous, children: [...previous.children, ...node.children] });
+    } else {
+      result.push(node);
+    }
+  }
+  return result;
+}
+
+function optimizeNode(node) {
+  if (node.type === 'declaration') {
+    return { ...node, value: optimizeValue(node.property, node.value) };
+  }
+  if (!node.children) {
+    return node;
+  }
+  return { ...node, children: dropOverridden(optimizeBlock(node.children)) };
+}
+
+function canMerge(previous, node) {
+  if (previous.type === 'rule' && node.type === 'rule') {
+    return previous.selector === node.selector;
+  }
+  return previous.type === 'at-rule'
+    && node.type === 'at-rule'
+    && MERGEABLE_AT_RULES.has(previous.name)
+    && previous.name === node.name
+    && previous.params === node.params
+    && previous.children !== null
+    && node.children !== null;
+}
+
+function isEmpty(node) {
+  if (node.type !== 'rule' && !(node.type === 'at-rule' && node.children !== null && REMOVABLE_AT_RULES.has(node.name))) {
+    return false;
+  }
+  return node.children.every((child) => child.type === 'comment');
+}
+
+function dropOverridden(nodes) {
+  const last = new Map();
+  nodes.forEach((node, index) => {
+    if (node.type === 'declaration') {
+      last.set(node.property, index);
+    }
+  });
+  const dropped = new Set();
+  nodes.forEach((node, index) => {
+    if (node.type !== 'declaration' || last.get(node.property) === index) {
+      return;
+    }
+    const next = nodes[index + 1];
+    const isFallback = next?.type === 'declaration'
+      && next.property === node.property
+      && next.value !== node.value
+      && (needsFallback(next.value) || VENDOR_PREFIX.test(node.value));
+    if (isFallback || (isImportant(node.value) && !isImportant(nodes[last.get(node.property)].value))) {
+      return;
+    }
+    dropped.add(index);
+    if (next && isTrailingComment(next)) {
+      dropped.add(index + 1);
+    }
+  });
+  return nodes.filter((_, index) => !dropped.has(index));
+}
+
+function optimizeValue(property, value) {
+  const colors = mapUnprotected(value, PROTECTED_FOR_COLORS, (text) => text.replace(/#([0-9a-fA-F]{6}|[0-9a-fA-F]{8})(?![0-9a-zA-Z_-])/g, (match, hex) => shortenHex(hex) ?? match));
+  if (property.startsWith('--') || KEEP_ZERO_UNITS.has(property.toLowerCase())) {
+    return colors;
+  }
+  return mapUnprotected(colors, PROTECTED_FOR_ZEROS, (text) => text.replace(ZERO_LENGTH, (_, prefix) => `${prefix}0`));
+}
+
+function shortenHex(hex) {
+  for (let i = 0; i < hex.length; i += 2) {
+    if (hex[i] !== hex[i + 1]) {
+      return null;
+    }
+  }
+  return `#${[...hex].filter((_, index) => index % 2 === 0).join('')}`;
+}
+
+function mapUnprotected(value, protectedFunctions, transform) {
+  let output = '';
+  let plain = '';
+  for (let i = 0; i < value.length; i++) {
+    const ch = value[i];
+    if (ch === '"' || ch === '\'') {
+      const end = stringEnd(value, i);
+      output += transform(plain) + value.slice(i, end);
+      plain = '';
+      i = end - 1;
+      continue;
+    }
+    if (ch === '(') {
+      const name = plain.match(/[a-zA-Z-]+$/)?.[0];
+      if (name && protectedFunctions.has(name.toLowerCase())) {
+        const end = closingParen(value, i);
+        output += transform(plain.slice(0, -name.length)) + name + value.slice(i, end);
+        plain = '';
+        i = end - 1;
+        continue;
+      }
+    }
+    plain += ch;
+  }
+  return output + transform(plain);
+}
+
+function stringEnd(text, start) {
+  for (let i = start + 1; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i += 1;
+    } else if (text[i] === text[start]) {
+      return i + 1;
+    }
+  }
+  return text.length;
+}
+
+function closingParen(text, open) {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"' || ch === '\'') {
+      i = stringEnd(text, i) - 1;
+    } else if (ch === '(') {
+      depth += 1;
+    } else if (ch === ')') {
+      depth -= 1;
+      if (depth === 0) {
+        return i + 1;
+      }
+    }
+  }
+  return text.length;
+}
+
+function needsFallback(value) {
+  return VENDOR_PREFIX.test(value) || MODERN_FUNCTION.test(value) || MODERN_UNIT.test(value);
+}
+
+function isImportant(value) {
+  return /!\s*important$/i.test(value);
+}
+
+function isTrailingComment(node) {
+  return node.type === 'comment' && node.trailing;
+}
+
+class CssPrinter {
+  constructor(indent) {
+    this.indent = indent;
+    this.lines = [];
+  }
+
+  printNode(node, next, depth) {
+    const pad = this.indent.repeat(depth);
+    switch (node.type) {
+      case 'comment':
+        if (!node.trailing) {
+          this.lines.push(`${pad}/*${node.text}*/`);
+        }
+        return;
+      case 'declaration':
+        this.lines.push(`${pad}${node.property}: ${node.value};${next && isTrailingComment(next) ? ` /*${next.text}*/` : ''}`);
+        return;
+      default: {
+        const heading = node.type === 'rule' ? node.selector : atRuleHeading(node, ' ');
+        if (node.children === null) {
+          this.lines.push(`${pad}${heading};`);
+          return;
+        }
+        this.lines.push(`${pad}${heading} {`);
+        node.children.forEach((child, index) => this.printNode(child, node.children[index + 1], depth + 1));
+        this.lines.push(`${pad}}`);
+      }
+    }
+  }
+}
+
+function minifyNode(node) {
+  switch (node.type) {
+    case 'comment':
+      return '';
+    case 'declaration':
+      return `${node.property}:${node.value};`;
+    default: {
+      const heading = node.type === 'rule' ? node.selector : atRuleHeading(node, '');
+      if (node.children === null) {
+        return `${heading};`;
+      }
+      return `${heading}{${node.children.map((child) => minifyNode(child)).join('')}}`;
+    }
+  }
+}
+
+function atRuleHeading(node, space) {
+  if (!node.params) {
+    return `@${node.name}`;
+  }
+  return `@${node.name}${node.params.startsWith('(') ? space : ' '}${node.params}`;
+}
+
+const ZERO_LENGTH = /(^|[\s,(/])[+-]?(?:0+\.?0*|\.0+)(?:px|em|rem|ex|ch|cap|ic|lh|rlh|vw|vh|vi|vb|vmin|vmax|svw|svh|lvw|lvh|dvw|dvh|cqw|cqh|cqi|cqb|cqmin|cqmax|cm|mm|q|in|pt|pc)(?![a-zA-Z0-9%])/gi;
+const PROTECTED_FOR_COLORS = new Set(['url']);
+const PROTECTED_FOR_ZEROS = new Set(['url', 'calc', 'min', 'max', 'clamp', 'var', 'env']);
+const KEEP_ZERO_UNITS = new Set(['flex']);
+const VENDOR_PREFIX = /(?:^|[\s,(])-(?:webkit|moz|ms|o)-/i;
+const MODERN_FUNCTION = /(?:^|[^\w-])(?:var|env|color-mix|light-dark|oklch|oklab|lab|lch|hwb|color|clamp|min|max|round|mod|rem|abs|sign|sin|cos|tan|pow|sqrt|hypot|log|exp)\(|\b(?:rgba?|hsla?)\(\s*from\s/i;
+const MODERN_UNIT = /\d(?:svw|svh|lvw|lvh|dvw|dvh|cqw|cqh|cqi|cqb|cqmin|cqmax|lh|rlh|cap|ic)(?![a-zA-Z0-9%])/i;
+const MERGEABLE_AT_RULES = new Set(['media', 'supports', 'container', 'layer']);
+const REMOVABLE_AT_RULES = new Set(['media', 'supports', 'container']);
@@ -0,0 +1,33 @@
+import { compile } from './compiler.js';
+
+export function boaPlugin(options = {}) {
+  return {
+    name: 'boa-lang',
+    setup(build) {
+      const minify = options.minify ?? isMinifying(build.config);
+
+      build.onLoad({ filter: /\.boa$/ }, async (args) => {
+        const source = await Bun.file(args.path).text();
+        const css = compile(source, {
+          ...options,
+          minify,
+          filename: args.path,
+        });
+        return {
+          contents: css,
+          loader: 'css',
+        };
+      });
+    },
+  };
+}
+
+function isMinifying(config) {
+  const minify = config?.minify;
+  if (typeof minify === 'object' && minify !== null) {
+    return Boolean(minify.whitespace);
+  }
+  return minify === true;
+}
+
+export default boaPlugin();
@@ -0,0 +1,65 @@
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+export function encodeVlq(value) {
+  let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+  let encoded = '';
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) {
+      digit |= 32;
+    }
+    encoded += BASE64_DIGITS[digit];
+  } while (vlq > 0);
+  return encoded;
+}
+
+export function createSourceMap({ file, sources, sourcesContent, segments }) {
+  const lines = [];
+  for (const segment of segments) {
+    while (lines.length <= segment.generatedLine) {
+      lines.push([]);
+    }
+    lines[segment.generatedLine].push(segment);
+  }
+
+  let previousSource = 0;
+  let previousLine = 0;
+  let previousColumn = 0;
+  const encodedLines = lines.map((lineSegments) => {
+    let previousGenerated = 0;
+    return lineSegments
+      .sort((a, b) => a.generatedColumn - b.generatedColumn)
+      .map((segment) => {
+        const encoded = encodeVlq(segment.generatedColumn - previousGenerated)
+          + encodeVlq(segment.sourceIndex - previousSource)
+          + encodeVlq(segment.originalLine - previousLine)
+          + encodeVlq(segment.originalColumn - previousColumn);
+        previousGenerated = segment.generatedColumn;
+        previousSource = segment.sourceIndex;
+        previousLine = segment.originalLine;
+        previousColumn = segment.originalColumn;
+        return encoded;
+      })
+      .join(',');
+  });
+
+  const map = {
+    version: 3,
+    sources,
+    names: [],
+    mappings: encodedLines.join(';'),
+  };
+  if (file) {
+    map.file = file;
+  }
+  if (sourcesContent) {
+    map.sourcesContent = sourcesContent;
+  }
+  return map;
+}
+
+export function inlineSourceMapComment(map) {
+  const encoded = Buffer.from(JSON.stringify(map)).toString('base64');
+  return `/*# sourceMappingURL=data:application/json;charset=utf-8;base64,${encoded} */`;
+}
@@ -0,0 +1,206 @@
+import { readFileSync } from 'fs';
+import { BoaCompilerError } from './errors.js';
+
+export function loadTokens(path, constant, location) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new BoaCompilerError('invalid-tokens', `Cannot read tokens file "${path}": ${error.message}`, location);
+  }
+  return tokensToVariables(data, { constant, location });
+}
+
+export function tokensToVariables(data, options = {}) {
+  return new TokenReader(options.constant ?? false, options.location ?? {}).read(data);
+}
+
+class TokenReader {
+  constructor(constant, location) {
+    this.constant = constant;
+    this.location = location;
+    this.tokens = new Map();
+    this.variables = [];
+    this.emitted = new Set();
+    this.visiting = new Set();
+  }
+
+  read(data) {
+    if (!isObject(data)) {
+      throw this.error('A tokens file must contain a JSON object');
+    }
+    this.collect(data, [], undefined);
+    for (const id of this.tokens.keys()) {
+      this.emit(id);
+    }
+    return this.variables;
+  }
+
+  collect(group, path, inheritedType) {
+    const type = group.$type ?? inheritedType;
+    for (const [key, value] of Object.entries(group)) {
+      if (key.startsWith('$')) {
+        continue;
+      }
+      const tokenPath = [...path, key];
+      if (!isObject(value)) {
+        throw this.error(`"${tokenPath.join('.')}" must be a token (an object with "$value") or a group`);
+      }
+      if ('$value' in value) {
+        this.tokens.set(tokenPath.join('.'), {
+          path: tokenPath,
+          type: value.$type ?? type,
+          value: value.$value,
+          description: value.$description,
+        });
+      } else {
+        this.collect(value, tokenPath, type);
+      }
+    }
+  }
+
+  emit(id) {
+    if (this.emitted.has(id)) {
+      return;
+    }
+    if (this.visiting.has(id)) {
+      throw this.error(`Token "${id}" references itself through an alias`);
+    }
+    this.visiting.add(id);
+    const token = this.tokens.get(id);
+    for (const reference of aliases(token.value)) {
+      if (!this.tokens.has(reference)) {
+        throw this.error(`Token "${id}" references "{${reference}}", which does not exist`);
+      }
+      this.emit(reference);
+    }
+    this.visiting.delete(id);
+    this.emitted.add(id);
+
+    const type = token.type ?? this.aliasType(token.value);
+    const name = variableName(token.path);
+    const constant = this.constant === true || (Array.isArray(this.constant) && this.constant.includes(type));
+    const variable = (suffix, value) => {
+      const entry = { name: suffix ? `${name}-${suffix}` : name, value, constant };
+      if (token.description && !suffix) {
+        entry.description = token.description;
+      }
+      this.variables.push(entry);
+    };
+
+    if (type === 'typography') {
+      const target = typeof token.value === 'string' ? this.tokens.get(wholeAlias(token.value)) : null;
+      if (target) {
+        for (const key of Object.keys(target.value)) {
+          variable(kebabCase(key), `$${variableName(target.path)}-${kebabCase(key)}`);
+        }
+        return;
+      }
+      if (!isObject(token.value)) {
+        throw this.error(`Typography token "${id}" must be an object`);
+      }
+      for (const [key, value] of Object.entries(token.value)) {
+        variable(kebabCase(key), this.format(value, TYPOGRAPHY_FIELDS[key], id));
+      }
+      return;
+    }
+    variable(null, this.format(token.value, type, id));
+  }
+
+  aliasType(value) {
+    const target = typeof value === 'string' ? this.tokens.get(wholeAlias(value)) : null;
+    return target ? target.type ?? this.aliasType(target.value) : undefined;
+  }
+
+  format(value, type, id) {
+    if (typeof value === 'string') {
+      return value.replace(/\{([^{}]+)\}/g, (_, reference) => `$${variableName(this.tokens.get(reference).path)}`);
+    }
+    if (typeof value === 'number') {
+      return String(value);
+    }
+    if (Array.isArray(value)) {
+      switch (type) {
+        case 'cubicBezier':
+          return `cubic-bezier(${value.join(', ')})`;
+        case 'fontFamily':
+          return value.map((family) => quoteFamily(family)).join(', ');
+        case 'shadow':
+        case 'gradient':
+          return value.map((item) => this.format(item, type, id)).join(', ');
+        default:
+          return value.map((item) => this.format(item, undefined, id)).join(', ');
+      }
+    }
+    if (!isObject(value)) {
+      throw this.error(`Token "${id}" has an unsupported value ${JSON.stringify(value)}`);
+    }
+    if ('value' in value && 'unit' in value) {
+      return `${value.value}${value.unit}`;
+    }
+    const field = (key, fieldType) => (value[key] === undefined ? null : this.format(value[key], fieldType, id));
+    switch (type) {
+      case 'color':
+        if (value.hex) {
+          return value.alpha !== undefined && value.alpha < 1
+            ? `${value.hex}${Math.round(value.alpha * 255).toString(16).padStart(2, '0')}`
+            : value.hex;
+        }
+        return `color(${value.colorSpace} ${value.components.join(' ')}${value.alpha !== undefined && value.alpha < 1 ? ` / ${value.alpha}` : ''})`;
+      case 'shadow':
+        return [
+          value.inset ? 'inset' : null,
+          field('offsetX', 'dimension'),
+          field('offsetY', 'dimension'),
+          field('blur', 'dimension'),
+          field('spread', 'dimension'),
+          field('color', 'color'),
+        ].filter(Boolean).join(' ');
+      case 'border':
+        return [field('width', 'dimension'), field('style', 'strokeStyle'), field('color', 'color')].filter(Boolean).join(' ');
+      case 'transition':
+        return [field('duration', 'duration'), field('timingFunction', 'cubicBezier'), field('delay', 'duration')].filter(Boolean).join(' ');
+      case 'gradient':
+        return [field('color', 'color'), typeof value.position === 'number' ? `${value.position * 100}%` : field('position')].filter(Boolean).join(' ');
+      default:
+        throw this.error(`Token "${id}" has an object value that Boa cannot convert${type ? ` for type "${type}"` : ''}`);
+    }
+  }
+
+  error(message) {
+    return new BoaCompilerError('invalid-tokens', message, this.location);
+  }
+}
+
+function aliases(value) {
+  return [...JSON.stringify(value).matchAll(/\{([^{}"]+)\}/g)].map((match) => match[1]);
+}
+
+function wholeAlias(value) {
+  const match = value.match(/^\{([^{}]+)\}$/);
+  return match ? match[1] : null;
+}
+
+function variableName(path) {
+  return path.map((segment) => segment.replace(/[^a-zA-Z0-9_-]+/g, '-')).join('-');
+}
+
+function kebabCase(key) {
+  return key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+function quoteFamily(family) {
+  return /^[a-zA-Z-]+$/.test(family) || /^["']/.test(family) ? family : `"${family}"`;
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+const TYPOGRAPHY_FIELDS = {
+  fontFamily: 'fontFamily',
+  fontSize: 'dimension',
+  fontWeight: 'fontWeight',
+  letterSpacing: 'dimension',
+  lineHeight: 'number',
+};
@@ -0,0 +1,123 @@
+import { expect, test } from 'bun:test';
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const CLI = join(import.meta.dir, '../src/cli.js');
+
+function writeProject(files) {
+  const dir = mkdtempSync(join(tmpdir(), 'boa-cli-'));
+  for (const [name, contents] of Object.entries(files)) {
+    mkdirSync(join(dir, name, '..'), { recursive: true });
+    writeFileSync(join(dir, name), contents);
+  }
+  return dir;
+}
+
+async function waitFor(check, timeout = 3000) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeout) {
+      throw new Error('Timed out waiting for the watcher');
+    }
+    await Bun.sleep(50);
+  }
+}
+
+function run(dir, args) {
+  const result = Bun.spawnSync([process.execPath, CLI, '--no-config', '--no-color', ...args], { cwd: dir });
+  return { code: result.exitCode, stdout: result.stdout.toString(), stderr: result.stderr.toString() };
+}
+
+test('compiles a directory into --out-dir, mirroring subfolders and skipping partials', () => {
+  const dir = writeProject({
+    'src/_tokens.boa': '$gap: 8px !const\n',
+    'src/app.boa': "@use 'tokens'\n.app\n  gap: $gap\n",
+    'src/pages/home.boa': '.home\n  color: red\n',
+  });
+
+  const result = run(dir, ['src', '--out-dir', 'dist']);
+  expect(result.code).toBe(0);
+  expect(result.stdout).toContain('[boa] compiled 2 of 2 file(s) to dist');
+  expect(readFileSync(join(dir, 'dist/app.css'), 'utf8')).toBe('.app {\n  gap: 8px;\n}\n');
+  expect(readFileSync(join(dir, 'dist/pages/home.css'), 'utf8')).toBe('.home {\n  color: red;\n}\n');
+  expect(existsSync(join(dir, 'dist/_tokens.css'))).toBe(false);
+});
+
+test('compiles a glob relative to the part before the first wildcard', () => {
+  const dir = writeProject({
+    'styles/a/one.boa': '.one\n  color: red\n',
+    'styles/b/two.boa': '.two\n  color: blue\n',
+    'styles/b/notes.txt': 'not a stylesheet',
+  });
+
+  const result = run(dir, ['styles/**/*.boa', '--out-dir=out']);
+  expect(result.code).toBe(0);
+  expect(readFileSync(join(dir, 'out/a/one.css'), 'utf8')).toContain('.one {');
+  expect(readFileSync(join(dir, 'out/b/two.css'), 'utf8')).toContain('.two {');
+  expect(existsSync(join(dir, 'out/b/notes.css'))).toBe(false);
+  expect(run(dir, ['styles/**/*.boa']).stderr).toContain('Compiling directories or globs requires --out-dir <dir>.');
+});
+
+test('keeps compiling the other files when one fails and exits with 1', () => {
+  const dir = writeProject({
+    'src/good.boa': '.good\n  color: red\n',
+    'src/bad.boa': '.bad\n  color: red\n   margin: 0\n',
+  });
+
+  const result = run(dir, ['src', '--out-dir', 'dist']);
+  expect(result.code).toBe(1);
+  expect(result.stdout).toContain('[boa] compiled 1 of 2 file(s) to dist, 1 failed');
+  expect(result.stderr).toContain('BOA002');
+  expect(result.stderr).toContain('bad.boa');
+  expect(readFileSync(join(dir, 'dist/good.css'), 'utf8')).toContain('.good {');
+  expect(existsSync(join(dir, 'dist/bad.css'))).toBe(false);
+});
+
+test('watch recompiles an importer when its missing partial is created', async () => {
+  const dir = writeProject({ 'app.boa': "@use 'tokens'\n.a\n  gap: $gap\n" });
+  const watcher = Bun.spawn([process.execPath, CLI, '--no-config', '--no-color', 'app.boa', 'app.css', '--watch'], { cwd: dir, stdout: 'pipe', stderr: 'pipe' });
+  let stdout = '';
+  const reading = (async () => {
+    for await (const chunk of watcher.stdout) {
+      stdout += Buffer.from(chunk).toString();
+    }
+  })();
+  const output = () => (existsSync(join(dir, 'app.css')) ? readFileSync(join(dir, 'app.css'), 'utf8') : '');
+
+  try {
+    await waitFor(() => stdout.includes('[boa] watching'));
+    expect(output()).toContain('Cannot find stylesheet');
+    writeFileSync(join(dir, '_tokens.boa'), '$gap: 8px !const\n');
+    await waitFor(() => output().includes('gap: 8px;'));
+    expect(output()).toBe('.a {\n  gap: 8px;\n}\n');
+  } finally {
+    watcher.kill();
+    await reading;
+  }
+});
+
+test('watch keeps the existing output under the banner when the first compile fails', async () => {
+  const dir = writeProject({ 'app.boa': '.a\n  color: red\n   margin: 0\n', 'app.css': '.old {\n  color: blue;\n}\n' });
+  const watcher = Bun.spawn([process.execPath, CLI, '--no-config', '--no-color', 'app.boa', 'app.css', '--watch'], { cwd: dir, stdout: 'pipe', stderr: 'pipe' });
+  let stdout = '';
+  const reading = (async () => {
+    for await (const chunk of watcher.stdout) {
+      stdout += Buffer.from(chunk).toString();
+    }
+  })();
+  const output = () => readFileSync(join(dir, 'app.css'), 'utf8');
+
+  try {
+    await waitFor(() => stdout.includes('[boa] watching'));
+    expect(output()).toStartWith('/* [boa] compile failed');
+    expect(output()).toEndWith('*/\n.old {\n  color: blue;\n}\n');
+    writeFileSync(join(dir, 'app.boa'), '.a\n  color: red\n    margin: 0\n');
+    await waitFor(() => output().includes('Unexpected indentation'));
+    expect(output().match(/compile failed/g)).toHaveLength(1);
+    expect(output()).toEndWith('*/\n.old {\n  color: blue;\n}\n');
+  } finally {
+    watcher.kill();
+    await reading;
+  }
+});
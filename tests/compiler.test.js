@@ -1,5 +1,8 @@
 import { expect, test } from 'bun:test';
-import { compile, SassCompilerError } from '../src/compiler.js';
+import { mkdirSync, mkdtempSync, readFileSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { basename, join, relative } from 'path';
+import { BoaCompilerError, compile, formatError, generate, parse, print, SassCompilerError } from '../src/compiler.js';
 
 test('global variables are moved to :root and referenced with var()', () => {
   const input = `$primary: #333
@@ -105,3 +108,810 @@ test(':hocus expands to :is(:hover, :focus-within)', () => {
   const minified = compile(input, { minify: true });
   expect(minified).toContain('@media(hover:hover){&:is(:hover, :focus-within){text-decoration:underline;}}');
 });
+
+test('mixins expand with positional, named and default arguments', () => {
+  const input = `@mixin pill($bg, $pad: 1rem)
+  background: $bg
+  padding: $pad
+
+$brand: teal
+.tag
+  @include pill($brand)
+
+.badge
+  @include pill(red, $pad: 2rem)`;
+
+  const css = compile(input);
+  expect(css).toContain(`.tag {
+  background: var(--brand);
+  padding: 1rem;
+}`);
+  expect(css).toContain(`.badge {
+  background: red;
+  padding: 2rem;
+}`);
+  expect(css).not.toContain('@mixin');
+  expect(css).not.toContain('@include');
+});
+
+test('@content inserts the block passed to @include', () => {
+  const input = `@mixin desktop
+  @media (min-width: 60rem)
+    @content
+
+.shell
+  @include desktop
+    padding: 2rem`;
+
+  const css = compile(input);
+  expect(css).toMatch(/\.shell {\s*@media \(min-width: 60rem\) {\s*padding: 2rem;/);
+});
+
+test('@content resolves constants in the scope of the @include', () => {
+  const input = `@mixin pad($gap)
+  padding: $gap
+  @content
+
+.card
+  $gap: 2rem !const
+  @include pad(1rem)
+    margin: $gap`;
+
+  expect(compile(input)).toBe(`.card {
+  padding: 1rem;
+  margin: 2rem;
+}
+`);
+});
+
+test('including an unknown mixin or omitting a required argument throws', () => {
+  expect(() => compile(`.a
+  @include missing`)).toThrow(SassCompilerError);
+
+  expect(() => compile(`@mixin size($w)
+  width: $w
+.a
+  @include size`)).toThrow(SassCompilerError);
+});
+
+function writeFixture(files) {
+  const dir = mkdtempSync(join(tmpdir(), 'boa-'));
+  for (const [name, contents] of Object.entries(files)) {
+    const path = join(dir, name);
+    mkdirSync(join(path, '..'), { recursive: true });
+    writeFileSync(path, contents);
+  }
+  return dir;
+}
+
+test('@use and @import inline .boa partials relative to the importing file', () => {
+  const dir = writeFixture({
+    '_tokens.boa': `$space: 1rem !const
+$brand: teal`,
+    'partials/_buttons.boa': `@use '../tokens'
+.btn
+  margin: $space`,
+  });
+  const input = `@use 'tokens'
+@import 'partials/buttons.boa'
+@import url('https://example.com/reset.css')
+.card
+  padding: $space
+  color: $brand`;
+
+  const css = compile(input, { filename: join(dir, 'main.boa') });
+  expect(css).toContain('--brand: teal;');
+  expect(css.match(/--brand/g).length).toBe(2);
+  expect(css).toContain(`.btn {
+  margin: 1rem;
+}`);
+  expect(css).toContain('padding: 1rem;');
+  expect(css).toContain("@import url('https://example.com/reset.css');");
+  expect(css).not.toContain('@use');
+});
+
+test('@tokens and the tokens option define variables from a W3C design tokens file', () => {
+  const dir = writeFixture({
+    'tokens.json': JSON.stringify({
+      color: {
+        $type: 'color',
+        brand: {
+          primary: { $value: '#0d9488', $description: 'Main brand color' },
+          'primary hover': { $value: '{color.brand.primary}' },
+        },
+      },
+      space: { $type: 'dimension', md: { $value: { value: 8, unit: 'px' } } },
+      easing: { standard: { $type: 'cubicBezier', $value: [0.2, 0, 0, 1] } },
+      border: { focus: { $type: 'border', $value: { color: '{color.brand.primary}', width: '2px', style: 'solid' } } },
+      font: { body: { $type: 'typography', $value: { fontFamily: ['Inter Variable', 'sans-serif'], fontSize: '16px' } } },
+    }),
+    'broken.json': JSON.stringify({ a: { $value: '{b}' } }),
+  });
+  const input = `@tokens 'tokens.json' !const(dimension)
+.card
+  padding: $space-md * 2
+  color: $color-brand-primary-hover
+  outline: $border-focus
+  font-family: $font-body-font-family`;
+
+  const result = compile(input, { filename: join(dir, 'main.boa'), details: true });
+  expect(result.css).toContain(`:root {
+  --color-brand-primary: #0d9488; /* Main brand color */
+  --color-brand-primary-hover: var(--color-brand-primary);
+  --easing-standard: cubic-bezier(0.2, 0, 0, 1);
+  --border-focus: 2px solid var(--color-brand-primary);
+  --font-body-font-family: "Inter Variable", sans-serif;
+  --font-body-font-size: 16px;
+}`);
+  expect(result.css).toContain('padding: 16px;');
+  expect(result.css).not.toContain('--space-md');
+  expect(result.warnings).toEqual([]);
+  expect(result.dependencies).toEqual([join(dir, 'tokens.json')]);
+  expect(print(parse(input))).toStartWith("@tokens 'tokens.json' !const(dimension)\n");
+
+  const css = compile('.a\n  color: $color-brand-primary', { tokens: { path: join(dir, 'tokens.json'), const: true } });
+  expect(css).toBe('.a {\n  color: #0d9488;\n}\n');
+  expect(() => compile(`@tokens 'broken.json'`, { filename: join(dir, 'main.boa') })).toThrow('Token "a" references "{b}", which does not exist');
+  expect(() => compile(`@tokens 'missing.json'`, { filename: join(dir, 'main.boa') })).toThrow('Cannot find tokens file "missing.json"');
+});
+
+test('circular imports are reported with the import chain', () => {
+  const dir = writeFixture({
+    'a.boa': `@import 'b'`,
+    'b.boa': `@import 'a'`,
+  });
+
+  let error;
+  try {
+    compile(`@import 'a'`, { filename: join(dir, 'main.boa') });
+  } catch (caught) {
+    error = caught;
+  }
+  expect(error).toBeInstanceOf(SassCompilerError);
+  expect(error.message).toContain('Circular import');
+  expect(error.message).toContain('imported from');
+});
+
+test('@each and @for generate rules with loop variables in selectors and properties', () => {
+  const input = `$sides: top, bottom !const
+@each $name, $size in sm 0.5rem, lg 2rem
+  .p-#{$name}
+    padding: $size
+
+@for $i from 1 through 2
+  .mt-$i
+    margin-top: #{$i}rem
+
+.box
+  @each $side in $sides
+    border-#{$side}: 1px solid`;
+
+  const css = compile(input);
+  expect(css).toContain(`.p-sm {
+  padding: 0.5rem;
+}
+.p-lg {
+  padding: 2rem;
+}`);
+  expect(css).toContain('.mt-1 {\n  margin-top: 1rem;');
+  expect(css).toContain('.mt-2 {\n  margin-top: 2rem;');
+  expect(css).not.toContain('.mt-3');
+  expect(css).toContain('border-top: 1px solid;\n  border-bottom: 1px solid;');
+});
+
+test('@if / @else if / @else pick the first matching branch', () => {
+  const input = `$theme: dim !const
+.panel
+  @if $theme == dark
+    color: white
+  @else if $theme == dim and not false
+    color: silver
+  @else
+    color: black`;
+
+  const css = compile(input);
+  expect(css).toContain('color: silver;');
+  expect(css).not.toContain('color: white;');
+  expect(css).not.toContain('color: black;');
+
+  expect(() => compile(`.a
+  @else
+    color: red`)).toThrow(SassCompilerError);
+});
+
+test('arithmetic on constants is evaluated at compile time and runtime operands become calc()', () => {
+  const input = `$gap: 8px !const
+$base: 16px !const
+$radius: 4px
+.card
+  padding: $gap * 2 ($gap + 4px) * 1.5
+  margin: 0 -$gap
+  width: 100% - $gap * 2
+  border-radius: $radius * 2
+  top: -$radius
+  line-height: $base / 10px
+  transition: opacity (200ms + 0.1s)
+  font: $base/1.5 sans-serif
+  grid-row: 1 / 3
+  flex-basis: calc($gap * 2)
+  @media (min-width: $gap * 96 + 1px)
+    padding: $gap * 3`;
+
+  const css = compile(input);
+  expect(css).toContain('padding: 16px 18px;');
+  expect(css).toContain('margin: 0 -8px;');
+  expect(css).toContain('width: calc(100% - 16px);');
+  expect(css).toContain('border-radius: calc(var(--radius) * 2);');
+  expect(css).toContain('top: calc(-1 * var(--radius));');
+  expect(css).toContain('line-height: 1.6;');
+  expect(css).toContain('transition: opacity 300ms;');
+  expect(css).toContain('font: 16px/1.5 sans-serif;');
+  expect(css).toContain('grid-row: 1 / 3;');
+  expect(css).toContain('flex-basis: calc(8px * 2);');
+  expect(css).toContain('@media (min-width: 769px)');
+  expect(compile('.a\n  width: 1in - 6px\n  b: 0.25turn + 45deg')).toContain('width: 0.9375in;\n  b: 0.375turn;');
+  expect(compile('$half: $radius / 2 !const\n$radius: 4px\n.a\n  b: $half * 3')).toContain('b: calc((var(--radius) / 2) * 3);');
+  expect(compile('$radius: 4px\n.a\n  b: $radius + 2px', { minify: true })).toContain('b:calc(var(--radius) + 2px);');
+});
+
+test('a spaced / stays a separator in shorthand properties and color functions', () => {
+  const input = `$r: 4px !const
+$size: 16px !const
+$lh: 1.5 !const
+$start: 2
+$end: 4
+.a
+  grid-column: $start / $end
+  grid-area: 1 / $start
+  font: $size / $lh sans-serif
+  border-radius: $r / 2px
+  aspect-ratio: $lh * 2 / $start
+  height: ($r / $start)
+  width: $start / 2
+  line-height: $size / 8px
+  color: rgb(0 0 0 / $start)`;
+
+  const css = compile(input);
+  expect(css).toContain('grid-column: var(--start) / var(--end);');
+  expect(css).toContain('grid-area: 1 / var(--start);');
+  expect(css).toContain('font: 16px / 1.5 sans-serif;');
+  expect(css).toContain('border-radius: 4px / 2px;');
+  expect(css).toContain('aspect-ratio: 3 / var(--start);');
+  expect(css).toContain('height: calc(4px / var(--start));');
+  expect(css).toContain('width: calc(var(--start) / 2);');
+  expect(css).toContain('line-height: 2;');
+  expect(css).toContain('color: rgb(0 0 0 / var(--start));');
+});
+
+test('arithmetic with incompatible units or non-numeric constants fails with a clear error', () => {
+  const failure = (value) => {
+    try {
+      compile(`$gap: 8px !const\n$pad: 4px 8px !const\n.a\n  width: ${value}`);
+    } catch (error) {
+      return error;
+    }
+    return null;
+  };
+
+  const units = failure('$gap + 2s');
+  expect(units).toBeInstanceOf(BoaCompilerError);
+  expect(units.code).toBe('BOA016');
+  expect(units.reason).toBe('Incompatible units in "8px + 2s": px and s are not compatible');
+  expect(units.line).toBe(4);
+  expect(failure('$gap + 2').code).toBe('BOA016');
+  expect(failure('$gap * $gap').code).toBe('BOA016');
+  expect(failure('2 / $gap').code).toBe('BOA016');
+  expect(failure('$gap / 0').reason).toBe('Division by zero in "8px / 0"');
+  expect(failure('$pad * 2').code).toBe('BOA013');
+});
+
+test('color functions compile constant colors to literals and runtime variables to native color syntax', () => {
+  const input = `$brand: #0d9488 !const
+$ink: hsl(210, 40%, 20%) !const
+$accent: tomato
+.a
+  color: lighten($brand, 10%)
+  background: darken($brand, 10%)
+  border-color: mix($brand, white, 20%)
+  outline-color: mix(red, blue)
+  box-shadow: 0 1px 2px rgba($brand, 0.5)
+  caret-color: alpha($ink, 50%)
+  fill: contrast-color($brand)
+  stroke: darken(lighten(navy, 20%), 20%)
+.b
+  color: lighten($accent, 10%)
+  background: mix($accent, white, 25%)
+  border-color: rgba($accent, .3)
+  fill: contrast-color($accent)
+  box-shadow: 0 0 0 1px rgba(0,0,0,.5)
+  filter: alpha(opacity=50)`;
+
+  const css = compile(input);
+  expect(css).toContain(`.a {
+  color: #11c3b3;
+  background: #09655d;
+  border-color: #d6e9e6;
+  outline-color: #ba00c2;
+  box-shadow: 0 1px 2px rgb(13 148 136 / 0.5);
+  caret-color: rgb(31 51 71 / 0.5);
+  fill: #000000;
+  stroke: #000080;
+}`);
+  expect(css).toContain(`.b {
+  color: hsl(from var(--accent) h s calc(l + 10));
+  background: color-mix(in oklch, var(--accent) 25%, white);
+  border-color: rgb(from var(--accent) r g b / 0.3);
+  fill: contrast-color(var(--accent));
+  box-shadow: 0 0 0 1px rgba(0,0,0,.5);
+  filter: alpha(opacity=50);
+}`);
+
+  const channels = compile('$brand-rgb: 13, 148, 136\n.a\n  color: rgba(var(--brand-rgb), 0.5)\n  background: rgba($brand-rgb, .5)\n  border-color: alpha(var(--ink), 0.5)');
+  expect(channels).toContain('color: rgba(var(--brand-rgb), 0.5);\n  background: rgba(var(--brand-rgb), .5);\n  border-color: rgb(from var(--ink) r g b / 0.5);');
+
+  let error;
+  try {
+    compile('.a\n  color: lighten(nope, 10%)');
+  } catch (caught) {
+    error = caught;
+  }
+  expect(error.code).toBe('BOA017');
+  expect(error.reason).toBe('lighten() expects a color, got "nope"');
+  expect(() => compile('.a\n  color: mix(red)')).toThrow('mix() expects 2 or 3 arguments, got 1');
+});
+
+test('@function definitions are evaluated at compile time with @return, control flow and locals', () => {
+  const input = `$base: 16 !const
+$gap: 8px
+
+@function rem($px, $root: $base)
+  @return $px / $root * 1rem
+
+@function space($step)
+  @if $step == 0
+    @return 0
+  $size: 4px
+  @for $i from 1 through $step
+    $size: $size * 2
+  @return $size
+
+.a
+  font-size: rem(24)
+  padding: rem(8) rem($root: 32, $px: 8)
+  margin: space(0) space(2)
+  gap: rem($gap)
+  width: clamp(rem(320), 50vw, rem(1200))
+  height: rem(24) * 2
+  @media (min-width: rem(768))
+    color: red`;
+
+  const css = compile(input);
+  expect(css).toContain(`.a {
+  font-size: 1.5rem;
+  padding: 0.5rem 0.25rem;
+  margin: 0 16px;
+  gap: calc(var(--gap) / 16 * 1rem);
+  width: clamp(20rem, 50vw, 75rem);
+  height: 3rem;
+  @media (min-width: 48rem) {`);
+  expect(print(parse(input), { indent: '  ' })).toContain('@function rem($px, $root: $base)\n  @return $px / $root * 1rem');
+
+  expect(() => compile('@function loop($n)\n  @return loop($n)\n.a\n  b: loop(1)')).toThrow('Function "loop" exceeds the maximum call depth of 100');
+  expect(() => compile('@function f()\n  $x: 1\n.a\n  b: f()')).toThrow('Function "f" finished without reaching @return');
+  expect(() => compile('@function f()\n  color: red\n.a\n  b: f()')).toThrow('can only contain variables, @if, @each, @for and @return');
+  expect(() => compile('.a\n  @return 1')).toThrow('@return is only allowed inside @function');
+});
+
+test('theme variants emit overrides for prefers-color-scheme and data-theme', () => {
+  const input = `$surface: white, dark: #111
+$font: Inter, sans-serif, dark: Georgia, serif
+$brand: teal
+
+@theme dark
+  $brand: lighten(teal, 10%)
+
+.card
+  background: $surface`;
+
+  expect(compile(input)).toBe(`:root {
+  --surface: white;
+  --font: Inter, sans-serif;
+  --brand: teal;
+}
+
+@media (prefers-color-scheme: dark) {
+  :root {
+    --surface: #111;
+    --font: Georgia, serif;
+    --brand: #00b3b3;
+  }
+}
+
+[data-theme="dark"] {
+  --surface: #111;
+  --font: Georgia, serif;
+  --brand: #00b3b3;
+}
+
+.card {
+  background: var(--surface);
+}
+`);
+  expect(compile('$a: red, dark: blue', { themes: { dark: { media: false, selector: '.dark' } }, minify: true }))
+    .toBe(':root{--a:red;}.dark{--a:blue;}');
+  expect(print(parse(input), { indent: '  ' })).toContain('$font: Inter, sans-serif, dark: Georgia, serif\n');
+
+  const { warnings } = compile('$a: red, dark: blue\n$b: red, contrast: black\n@theme dark\n  $c: blue', { details: true });
+  expect(warnings.map((warning) => warning.message)).toEqual([
+    '$a has no variant for theme "contrast"',
+    '$b has no variant for theme "dark"',
+    '$c has a theme variant but no default value',
+    '$c has no variant for theme "contrast"',
+  ]);
+
+  expect(() => compile('$a: red, dark: blue !const')).toThrow('Constant $a cannot have theme variants');
+  expect(() => compile('.a\n  $b: red, dark: blue')).toThrow('Theme variants are only allowed on top-level variables');
+  expect(() => compile('.a\n  @theme dark\n    $b: red')).toThrow('@theme is only allowed at the top level');
+  expect(() => compile('@theme dark\n  .a\n    b: c')).toThrow('@theme dark can only contain variables');
+});
+
+test('named breakpoints expand @media and @container into range queries', () => {
+  const input = `$wide: 80rem !const
+@breakpoints sm: 40rem, md: 60rem, lg: $wide
+
+.card
+  @media md
+    padding: 2rem
+  @media md..lg
+    padding: 3rem
+  @media ..sm
+    padding: 1rem
+  @media print
+    padding: 0
+  @container sidebar > lg
+    display: grid`;
+
+  expect(compile(input)).toBe(`.card {
+  @media (width >= 60rem) {
+    padding: 2rem;
+  }
+  @media (60rem <= width < 80rem) {
+    padding: 3rem;
+  }
+  @media (width < 40rem) {
+    padding: 1rem;
+  }
+  @media print {
+    padding: 0;
+  }
+  @container sidebar (width >= 80rem) {
+    display: grid;
+  }
+}
+`);
+  expect(print(parse(input))).toContain('@breakpoints sm: 40rem, md: 60rem, lg: $wide\n');
+  const compound = compile('@breakpoints sm: 40rem, md: 60rem\n.a\n  @media print and md, screen and ..sm\n    b: c\n  @container card md and (orientation: portrait)\n    b: c');
+  expect(compound).toContain('@media print and (width >= 60rem), screen and (width < 40rem) {');
+  expect(compound).toContain('@container card (width >= 60rem) and (orientation: portrait) {');
+  expect(() => compile('@breakpoints sm: 40rem\n.a\n  @media print and xl\n    b: c')).toThrow('Unknown breakpoint "xl" in @media');
+  expect(() => compile('@breakpoints sm: 40rem\n.a\n  @container card xl\n    b: c')).toThrow('Unknown breakpoint "xl" in @container');
+  expect(() => compile('@breakpoints sm: 40rem\n.a\n  @media sm..xl\n    b: c')).toThrow('Unknown breakpoint "xl" in @media (known breakpoints: sm)');
+  expect(() => compile('@breakpoints sm 40rem')).toThrow('Expected "@breakpoints name: value, ..."');
+  expect(() => compile('@breakpoints screen: 40rem')).toThrow('"screen" is a media type and cannot be used as a breakpoint name');
+  expect(() => compile('.a\n  @breakpoints sm: 40rem')).toThrow('@breakpoints is only allowed at the top level');
+});
+
+test('optimize option merges rules and drops dead declarations', () => {
+  const input = `$bg: #ffffff
+.a
+  color: #aabbcc
+  margin: 0px 0.0em 10px .0rem
+  width: calc(0px + 10%)
+  flex: 1 1 0px
+  display: -webkit-box
+  display: flex
+  padding: 1px !important
+  padding: 2px
+.a
+  color: red // wins
+.empty
+  // nothing
+.a:hover
+  color: #FFFFFF
+.b:hover
+  background: url(#aabbcc)`;
+
+  expect(compile(input, { optimize: true })).toBe(`:root {
+  --bg: #fff;
+}
+
+.a {
+  margin: 0 0 10px 0;
+  width: calc(0px + 10%);
+  flex: 1 1 0px;
+  display: -webkit-box;
+  display: flex;
+  padding: 1px !important;
+  padding: 2px;
+  color: red; /* wins */
+}
+@media (hover: hover) {
+  .a:hover {
+    color: #FFF;
+  }
+  .b:hover {
+    background: url(#aabbcc);
+  }
+}
+`);
+  expect(compile('@media (x)\n  .a\n    b: c\n@media (x)\n  .a\n    d: 0px', { optimize: true, minify: true })).toBe('@media(x){.a{b:c;d:0;}}');
+  expect(compile('.a\n  b: c\n.d\n  e: f', { optimize: true })).toBe(compile('.a\n  b: c\n.d\n  e: f'));
+  expect(() => compile('.a\n  b: c', { optimize: true, sourceMap: true })).toThrow('cannot be combined with source maps');
+  expect(() => compile('.a\n  b: c', { optimize: true, sourceMap: true })).toThrow(BoaCompilerError);
+});
+
+test('optimize option keeps only real fallbacks among repeated declarations', () => {
+  const input = `.a
+  color: red
+  color: blue
+  height: 100vh
+  height: 100dvh
+  background: #fff
+  background: color-mix(in srgb, red, blue)
+  margin: 1px
+  margin: var(--gap)`;
+
+  expect(compile(input, { optimize: true })).toBe(`.a {
+  color: blue;
+  height: 100vh;
+  height: 100dvh;
+  background: #fff;
+  background: color-mix(in srgb, red, blue);
+  margin: 1px;
+  margin: var(--gap);
+}
+`);
+});
+
+test('sourceMap option returns a v3 map pointing back at the .boa source', () => {
+  const input = `.a
+  color: red`;
+
+  const result = compile(input, { sourceMap: true, filename: 'styles/app.boa', outFile: 'styles/app.css' });
+  expect(result.css).toBe('.a {\n  color: red;\n}\n');
+  expect(result.map.version).toBe(3);
+  expect(result.map.file).toBe('app.css');
+  expect(result.map.sources).toEqual(['app.boa']);
+  expect(result.map.sourcesContent).toEqual([input]);
+  expect(result.map.mappings).toBe('AAAA;EACE');
+
+  const minified = compile(input, { sourceMap: true, minify: true });
+  expect(minified.css).toBe('.a{color:red;}');
+  expect(minified.map.mappings).toBe('AAAA,GACE');
+});
+
+test('compiler errors carry a code, line, column and code frame', () => {
+  const input = `.card
+  color: red
+  $: 1rem`;
+
+  let error;
+  try {
+    compile(input, { filename: 'card.boa' });
+  } catch (caught) {
+    error = caught;
+  }
+  expect(error).toBeInstanceOf(BoaCompilerError);
+  expect(error.name).toBe('BoaCompilerError');
+  expect(error.code).toBe('BOA006');
+  expect(error.kind).toBe('invalid-variable');
+  expect(error.line).toBe(3);
+  expect(error.column).toBe(3);
+  expect(error.message).toBe('Variable name cannot be empty (at card.boa:3:3)');
+  expect(error.frame).toContain('> 3 |   $: 1rem');
+  expect(error.frame).toContain('    |   ^');
+  expect(error.toJSON()).toMatchObject({ code: 'BOA006', line: 3, column: 3 });
+  expect(formatError(error)).toStartWith('BOA006 invalid-variable: Variable name cannot be empty');
+});
+
+test('recover option collects every parse error instead of stopping at the first', () => {
+  const dir = writeFixture({
+    '_buttons.boa': '.button\n  $: red\n',
+    'main.boa': "@use 'buttons'\n.a\n  margin: 0\n    padding: 1px\n      top: 0\n  color: red\n.b\n   top: 0\n  left: 0\n",
+  });
+  const filename = join(dir, 'main.boa');
+  const source = readFileSync(filename, 'utf8');
+
+  let error;
+  try {
+    compile(source, { filename, recover: true });
+  } catch (caught) {
+    error = caught;
+  }
+  expect(error.errors.map((item) => [item.code, basename(item.filename), item.line])).toEqual([
+    ['BOA003', 'main.boa', 4],
+    ['BOA002', 'main.boa', 8],
+    ['BOA006', '_buttons.boa', 2],
+  ]);
+  expect(error.errors[2].importChain).toEqual([filename]);
+  expect(() => compile(source, { filename })).toThrow('Unexpected indentation');
+
+  const ast = parse(source, { filename, recover: true });
+  expect(ast.errors.map((item) => item.message)).toEqual([
+    `Unexpected indentation (at ${relative(process.cwd(), filename)}:4:1)`,
+    `Indentation is not a multiple of the base indent (at ${relative(process.cwd(), filename)}:8:1)`,
+  ]);
+  expect(print(ast, { indent: '  ' })).toBe("@use 'buttons'\n\n.a\n  margin: 0\n\n  color: red\n\n.b\n  left: 0\n");
+  expect(parse('.a\n  b: c', { recover: true }).errors).toEqual([]);
+});
+
+test('details option returns warnings for suspicious but valid input', () => {
+  const input = `$gap: 1rem !const
+$gap: 2rem !const
+.card
+  color: $missing
+  display: -webkit-box
+  display: flex
+  margin: $gap
+  padding: 0
+  margin: $gap
+.empty
+@frobnicate now`;
+
+  const result = compile(input, { details: true });
+  expect(result.css).toContain('margin: 1rem;');
+  expect(result.warnings.map((warning) => warning.code)).toEqual(['BOA102', 'BOA101', 'BOA103', 'BOA104', 'BOA105']);
+  expect(result.warnings[1]).toMatchObject({
+    kind: 'undefined-variable',
+    message: '$missing is referenced but never defined',
+    line: 4,
+    column: 3,
+  });
+  expect(result.warnings[2].line).toBe(9);
+
+  expect(compile('.a\n  color: red', { details: true }).warnings).toEqual([]);
+});
+
+test('flat target resolves nesting into full selectors and hoists at-rules', () => {
+  const input = `.card, .panel
+  color: red
+  &-title
+    margin: 0
+  &:hocus
+    color: blue
+  @media (min-width: 40rem)
+    padding: 2rem
+    .body
+      gap: 1rem
+  padding: 1rem`;
+
+  const css = compile(input, { target: 'flat' });
+  expect(css).toBe(`.card, .panel {
+  color: red;
+}
+.card-title, .panel-title {
+  margin: 0;
+}
+@media (hover: hover) {
+  .card:is(:hover, :focus-within), .panel:is(:hover, :focus-within) {
+    color: blue;
+  }
+}
+@media (min-width: 40rem) {
+  .card, .panel {
+    padding: 2rem;
+  }
+  .card .body, .panel .body {
+    gap: 1rem;
+  }
+}
+.card, .panel {
+  padding: 1rem;
+}
+`);
+  expect(css).not.toContain('&');
+
+  const minified = compile(input, { target: 'flat', minify: true, hoverGuard: false });
+  expect(minified).toContain('.card:is(:hover, :focus-within),.panel:is(:hover, :focus-within){color:blue;}');
+  expect(minified).not.toContain('hover:hover');
+});
+
+test('flat target expands every & against each parent selector', () => {
+  expect(compile('.card, .panel\n  & + &\n    margin-top: 1rem', { target: 'flat' })).toBe(`.card + .card, .card + .panel, .panel + .card, .panel + .panel {
+  margin-top: 1rem;
+}
+`);
+});
+
+test('parse returns a position-annotated AST that generate compiles and print serializes', () => {
+  const source = `// tokens
+$brand: teal !const
+.card, .panel // surfaces
+\tpadding: 1rem
+\t@media (min-width: 40rem)
+\t\tpadding: 2rem
+@if $brand == teal
+\t.badge
+\t\tcolor: $brand
+@else
+\t.badge
+\t\tcolor: black`;
+
+  const ast = parse(source, { filename: 'card.boa' });
+  expect(ast.type).toBe('stylesheet');
+  const [comment, variable, rule, condition] = ast.children;
+  expect(comment).toMatchObject({ type: 'comment', comment: { kind: 'line', text: 'tokens' }, line: 1, column: 1 });
+  expect(variable).toMatchObject({ type: 'variable', name: 'brand', value: 'teal', constant: true, line: 2 });
+  expect(rule).toMatchObject({ type: 'rule', selector: '.card, .panel', comment: { text: 'surfaces' }, line: 3 });
+  expect(rule.children[1]).toMatchObject({ type: 'at-rule', name: 'media', params: '(min-width: 40rem)', line: 5, column: 2 });
+  expect(condition.alternate).toMatchObject({ type: 'else', condition: null, line: 10 });
+  expect(rule.source).toEndWith('card.boa');
+
+  expect(generate(ast)).toBe(compile(source));
+
+  rule.children.push({ type: 'declaration', property: 'gap', value: '0.5rem' });
+  expect(generate(ast)).toContain('  gap: 0.5rem;');
+
+  const printed = print(ast);
+  expect(printed).toBe(`// tokens
+$brand: teal !const
+
+.card,
+.panel // surfaces
+\tpadding: 1rem
+
+\t@media (min-width: 40rem)
+\t\tpadding: 2rem
+
+\tgap: 0.5rem
+
+@if $brand == teal
+\t.badge
+\t\tcolor: $brand
+@else
+\t.badge
+\t\tcolor: black
+`);
+  expect(print(parse(printed))).toBe(printed);
+  expect(print(parse(printed), { indent: '  ' })).toContain('\n  padding: 1rem\n');
+});
+
+test('print keeps comments in place and collapses blank lines to one', () => {
+  const source = `// tokens
+$space:1rem
+
+
+$brand:   teal // primary
+// card styles
+
+.card, .panel
+    padding: $space
+
+    /* spacing */
+    .title
+        margin: 0
+.footer
+    color: $brand
+`;
+
+  const printed = print(parse(source), { indent: '  ' });
+  expect(printed).toBe(`// tokens
+$space: 1rem
+
+$brand: teal // primary
+// card styles
+
+.card,
+.panel
+  padding: $space
+
+  /* spacing */
+  .title
+    margin: 0
+
+.footer
+  color: $brand
+`);
+  expect(print(parse(printed), { indent: '  ' })).toBe(printed);
+  expect(compile(printed)).toBe(compile(source));
+});
@@ -0,0 +1,107 @@
+import { expect, test } from 'bun:test';
+import { mkdirSync, mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { compile, parse, print } from '../src/compiler.js';
+import { findConfig, loadConfig } from '../src/config.js';
+
+function writeProject(files) {
+  const dir = mkdtempSync(join(tmpdir(), 'boa-config-'));
+  for (const [name, contents] of Object.entries(files)) {
+    mkdirSync(join(dir, name, '..'), { recursive: true });
+    writeFileSync(join(dir, name), contents);
+  }
+  return dir;
+}
+
+test('finds the nearest config file and stops at the package root', () => {
+  const dir = writeProject({
+    'package.json': '{"name": "site"}',
+    'boa.config.json': '{}',
+    'styles/nested/.keep': '',
+    'packages/app/package.json': '{"name": "app"}',
+  });
+
+  expect(findConfig(join(dir, 'styles/nested'))).toBe(join(dir, 'boa.config.json'));
+  expect(findConfig(join(dir, 'packages/app'))).toBeNull();
+});
+
+test('loads the "boa" key from package.json and resolves paths against it', async () => {
+  const dir = writeProject({
+    'package.json': JSON.stringify({
+      name: 'site',
+      boa: {
+        outDir: 'dist',
+        indent: 4,
+        loadPaths: 'shared',
+        tokens: ['tokens/base.json', { path: 'tokens/space.json', const: ['dimension'] }],
+        entries: ['src/pages', { input: 'src/admin.boa', output: 'dist/admin.css', minify: true, sourceMap: true }],
+      },
+    }),
+  });
+
+  expect(findConfig(dir)).toBe(join(dir, 'package.json'));
+  const config = await loadConfig(join(dir, 'package.json'));
+  expect(config.outDir).toBe(join(dir, 'dist'));
+  expect(config.options).toEqual({
+    indent: '    ',
+    loadPaths: [join(dir, 'shared')],
+    tokens: [join(dir, 'tokens/base.json'), { path: join(dir, 'tokens/space.json'), const: ['dimension'] }],
+  });
+  expect(config.entries).toEqual([
+    { input: join(dir, 'src/pages'), output: null, outDir: null, options: {} },
+    { input: join(dir, 'src/admin.boa'), output: join(dir, 'dist/admin.css'), outDir: null, options: { minify: true, sourceMap: 'file' } },
+  ]);
+});
+
+test('loads boa.config.js and rejects unknown options', async () => {
+  const dir = writeProject({
+    'boa.config.js': "export default { rootSelector: ':host', hoverGuard: false, entries: ['app.boa'] };",
+    'broken/boa.config.json': '{"minfy": true}',
+    'themes/boa.config.json': '{"themes": {"dark": {"media": true}}}',
+    'aliases/boa.config.json': '{"aliases": [":hocus"]}',
+  });
+
+  const config = await loadConfig(join(dir, 'boa.config.js'));
+  expect(config.options).toEqual({ rootSelector: ':host', hoverGuard: false });
+  expect(config.entries[0].input).toBe(join(dir, 'app.boa'));
+  await expect(loadConfig(join(dir, 'broken/boa.config.json'))).rejects.toThrow('Unknown option "minfy"');
+  await expect(loadConfig(join(dir, 'themes/boa.config.json'))).rejects.toThrow('"themes" must map theme names to { media, selector }');
+  await expect(loadConfig(join(dir, 'aliases/boa.config.json'))).rejects.toThrow('"aliases" must map pseudo-class aliases to selectors');
+});
+
+test('custom aliases expand in top-level and nested selectors', () => {
+  const input = `@alias :hocus-visible :is(:hover, :focus-visible)
+@alias :interactive :is(a, button, [role=button])
+@alias :nth-group($size, $index) :nth-child(#{$size}n + $index)
+
+.card:hocus-visible
+  color: red
+
+.list
+  li:nth-group(3, 1)
+    margin: 0
+  :interactive:focus-ring
+    outline: auto`;
+
+  expect(compile(input, { aliases: { ':focus-ring': ':focus-visible' } })).toBe(`@media (hover: hover) {
+  .card:is(:hover, :focus-visible) {
+    color: red;
+  }
+}
+.list {
+  & li:nth-child(3n + 1) {
+    margin: 0;
+  }
+  &:is(a, button, [role=button]):focus-visible {
+    outline: auto;
+  }
+}
+`);
+  expect(compile('.a:hocus\n  b: c', { target: 'flat', aliases: { ':hocus': ':is(:hover, :focus)' } })).toContain('@media (hover: hover) {\n  .a:is(:hover, :focus) {');
+  expect(print(parse(input))).toContain('@alias :nth-group($size, $index) :nth-child(#{$size}n + $index)\n');
+  expect(() => compile('@alias :a :is(:b, :c)\n@alias :b :a\n.x:a\n  c: d')).toThrow('Alias :a refers to itself (:a -> :b -> :a)');
+  expect(() => compile('@alias :g($n) :nth-child($n)\n.x:g\n  c: d')).toThrow('Alias :g expects 1 argument, got 0');
+  expect(() => compile('@alias hocus :hover')).toThrow('Expected "@alias :name <selector>"');
+  expect(() => compile('a\n  b: c', { aliases: { hocus: ':hover' } })).toThrow('Invalid alias "hocus"');
+});
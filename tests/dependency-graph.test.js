@@ -0,0 +1,27 @@
+import { expect, test } from 'bun:test';
+import { DependencyGraph } from '../src/dependency-graph.js';
+
+test('finds the entries affected by a changed file', () => {
+  const graph = new DependencyGraph();
+  graph.setDependencies('/src/home.boa', ['/src/_tokens.boa', '/src/_buttons.boa']);
+  graph.setDependencies('/src/admin.boa', ['/src/_tokens.boa']);
+
+  expect(graph.affectedEntries('/src/_tokens.boa')).toEqual(['/src/home.boa', '/src/admin.boa']);
+  expect(graph.affectedEntries('/src/_buttons.boa')).toEqual(['/src/home.boa']);
+  expect(graph.affectedEntries('/src/admin.boa')).toEqual(['/src/admin.boa']);
+  expect(graph.affectedEntries('/src/_unused.boa')).toEqual([]);
+});
+
+test('replaces dependencies on recompile and forgets removed entries', () => {
+  const graph = new DependencyGraph();
+  graph.setDependencies('/src/home.boa', ['/src/_old.boa']);
+  graph.setDependencies('/src/home.boa', ['/src/_new.boa']);
+  graph.addDependency('/src/home.boa', '/src/_broken.boa');
+
+  expect(graph.affectedEntries('/src/_old.boa')).toEqual([]);
+  expect(graph.files().sort()).toEqual(['/src/_broken.boa', '/src/_new.boa', '/src/home.boa']);
+
+  graph.removeEntry('/src/home.boa');
+  expect(graph.hasEntry('/src/home.boa')).toBe(false);
+  expect(graph.files()).toEqual([]);
+});
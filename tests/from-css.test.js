@@ -0,0 +1,85 @@
+import { expect, test } from 'bun:test';
+import { BoaCompilerError, compile } from '../src/compiler.js';
+import { fromCss } from '../src/from-css.js';
+
+test('converts plain and nested CSS to idiomatic Boa', () => {
+  const css = `:root {
+  --brand: teal; /* primary */
+  --space: 1rem;
+}
+
+/*
+ * Cards
+ */
+.card, .panel {
+  padding: var(--space);
+  border: 1px solid var(--line, #ccc);
+  --shadow: 0 1px var(--brand);
+  & .title { margin: 0 }
+  &.active > a { color: var(--brand) }
+  @media (hover: hover) {
+    &:is(:hover, :focus-within) { color: red; }
+  }
+}
+
+@media (hover: hover) {
+  .link:hover { text-decoration: underline; }
+}
+@media (min-width: 40rem) {
+  :root { --space: 2rem; }
+}
+`;
+
+  expect(fromCss(css, { indent: '  ' })).toBe(`$brand: teal // primary
+$space: 1rem
+
+// Cards
+.card,
+.panel
+  padding: $space
+  border: 1px solid var(--line, #ccc)
+  $shadow: 0 1px $brand
+
+  .title
+    margin: 0
+
+  &.active > a
+    color: $brand
+
+  &:hocus
+    color: red
+
+.link:hover
+  text-decoration: underline
+
+@media (min-width: 40rem)
+  :root
+    $space: 2rem
+`);
+});
+
+test('round-trips compiled Boa output', () => {
+  const source = `$brand: teal
+.button
+  color: $brand
+  &:hocus
+    color: white
+  .icon
+    inline-size: 1rem
+`;
+  for (const options of [{}, { minify: true }, { target: 'flat' }]) {
+    const css = compile(source, options);
+    expect(compile(fromCss(css), options)).toBe(css);
+  }
+});
+
+test('reports CSS syntax errors with a location', () => {
+  expect(() => fromCss('.a {\n  color: red;\n', { filename: 'broken.css' })).toThrow(BoaCompilerError);
+  try {
+    fromCss('.a {\n  color: red;\n');
+  } catch (error) {
+    expect(error.code).toBe('BOA015');
+    expect(error.line).toBe(1);
+    expect(error.column).toBe(4);
+  }
+});
@@ -0,0 +1,116 @@
+import { expect, test } from 'bun:test';
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PassThrough } from 'stream';
+import { pathToFileURL } from 'url';
+import { LanguageServer, startServer } from '../src/lsp.js';
+
+function openServer() {
+  const messages = [];
+  const server = new LanguageServer((message) => messages.push(message));
+  const request = async (method, params) => {
+    await server.handle({ jsonrpc: '2.0', id: messages.length + 1, method, params });
+    return messages[messages.length - 1].result;
+  };
+  return { server, messages, request };
+}
+
+test('publishes compile errors and warnings as diagnostics', async () => {
+  const { server, messages } = openServer();
+  const uri = 'file:///project/app.boa';
+
+  await server.handle({
+    jsonrpc: '2.0',
+    method: 'textDocument/didOpen',
+    params: { textDocument: { uri, text: '.a\n  color: $missing' } },
+  });
+  expect(messages.pop().params).toEqual({
+    uri,
+    diagnostics: [{
+      range: { start: { line: 1, character: 2 }, end: { line: 1, character: 17 } },
+      severity: 2,
+      source: 'boa',
+      message: '$missing is referenced but never defined',
+      code: 'BOA101',
+    }],
+  });
+
+  await server.handle({
+    jsonrpc: '2.0',
+    method: 'textDocument/didChange',
+    params: { textDocument: { uri }, contentChanges: [{ text: '.a\n  color: red\n   margin: 0' }] },
+  });
+  const [diagnostic] = messages.pop().params.diagnostics;
+  expect(diagnostic.severity).toBe(1);
+  expect(diagnostic.code).toBe('BOA002');
+  expect(diagnostic.range.start).toEqual({ line: 2, character: 0 });
+});
+
+test('completes, navigates and describes variables across imports', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'boa-lsp-'));
+  writeFileSync(join(dir, '_tokens.boa'), '$gap: 4px !const\n$brand: teal, dark: #00b3b3\n');
+  const uri = pathToFileURL(join(dir, 'app.boa')).href;
+  const text = "@use 'tokens'\n$pad: $gap * 2 !const\n\n.card\n  padding: $pad\n  color: $brand\n\n  @media (min-width: 40rem)\n    margin: $gap\n";
+  const { server, request } = openServer();
+  await server.handle({ jsonrpc: '2.0', method: 'textDocument/didOpen', params: { textDocument: { uri, text } } });
+
+  const variables = await request('textDocument/completion', { textDocument: { uri }, position: { line: 4, character: 12 } });
+  expect(variables.map((item) => item.label)).toEqual(['$pad', '$gap', '$brand']);
+  expect(variables[0].detail).toBe('$gap * 2 !const');
+  const properties = await request('textDocument/completion', { textDocument: { uri }, position: { line: 4, character: 4 } });
+  expect(properties.find((item) => item.label === 'padding').insertText).toBe('padding: ');
+
+  const tokensUri = pathToFileURL(join(dir, '_tokens.boa')).href;
+  expect(await request('textDocument/definition', { textDocument: { uri }, position: { line: 8, character: 14 } })).toEqual([
+    { uri: tokensUri, range: { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } } },
+  ]);
+  const references = await request('textDocument/references', {
+    textDocument: { uri },
+    position: { line: 1, character: 8 },
+    context: { includeDeclaration: false },
+  });
+  expect(references.map((location) => [location.uri, location.range.start.line])).toEqual([[uri, 1], [uri, 8]]);
+
+  expect((await request('textDocument/hover', { textDocument: { uri }, position: { line: 4, character: 12 } })).contents.value)
+    .toBe('```boa\n$pad: $gap * 2 !const\n```\nResolves to `8px`');
+  expect((await request('textDocument/hover', { textDocument: { uri }, position: { line: 5, character: 10 } })).contents.value)
+    .toBe('```boa\n$brand: teal, dark: #00b3b3\n```\nCompiles to `var(--brand)`');
+
+  const outline = await request('textDocument/documentSymbol', { textDocument: { uri } });
+  expect(outline.map((symbol) => [symbol.name, symbol.kind, symbol.range.end.line])).toEqual([['$pad', 14, 1], ['.card', 5, 8]]);
+  expect(outline[1].children.map((symbol) => symbol.name)).toEqual(['@media (min-width: 40rem)']);
+});
+
+test('hover shows the local binding when a parameter or nested constant shadows a top-level one', async () => {
+  const uri = 'file:///project/app.boa';
+  const text = '$size: 4px !const\n@mixin box($size: 2px)\n  width: $size\n.card\n  $size: 8px !const\n  height: $size\n.list\n  margin: $size\n';
+  const { server, request } = openServer();
+  await server.handle({ jsonrpc: '2.0', method: 'textDocument/didOpen', params: { textDocument: { uri, text } } });
+
+  const hover = async (line, character) => (await request('textDocument/hover', { textDocument: { uri }, position: { line, character } })).contents.value;
+  expect(await hover(2, 12)).toBe('```boa\n@mixin box($size: 2px)\n```');
+  expect(await hover(5, 12)).toBe('```boa\n$size: 8px !const\n```');
+  expect(await hover(7, 12)).toBe('```boa\n$size: 4px !const\n```\nResolves to `4px`');
+});
+
+test('speaks JSON-RPC over stdio and exits after shutdown', async () => {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', (chunk) => chunks.push(chunk));
+  const exited = startServer(input, output);
+  const frame = (message) => {
+    const body = JSON.stringify(message);
+    return `Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`;
+  };
+
+  input.write(frame({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} }).slice(0, 10));
+  input.write(frame({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} }).slice(10));
+  input.write(frame({ jsonrpc: '2.0', id: 2, method: 'shutdown' }) + frame({ jsonrpc: '2.0', method: 'exit' }));
+
+  expect(await exited).toBe(0);
+  const responses = Buffer.concat(chunks).toString().split(/Content-Length: \d+\r\n\r\n/).filter(Boolean).map((body) => JSON.parse(body));
+  expect(responses[0].result.capabilities.definitionProvider).toBe(true);
+  expect(responses[1]).toEqual({ jsonrpc: '2.0', id: 2, result: null });
+});
@@ -0,0 +1,158 @@
+import { expect, test } from 'bun:test';
+import { compile } from '../src/compiler.js';
+import { migrate } from '../src/migrate.js';
+
+test('migrates SCSS and picks constants from how variables are used', () => {
+  const source = `@use 'tokens' as t;
+$bp-md: 48rem;
+$gap: 8px;
+$brand: teal !default;
+
+%card-base {
+  border-radius: 4px;
+}
+
+.card {
+  @extend %card-base;
+  color: $brand;
+  padding: $gap * 2;
+  border-color: t.$line;
+  font: {
+    family: serif;
+    size: 1rem;
+  }
+  &__title { margin: 0; }
+  @media (min-width: $bp-md) { padding: $gap; }
+}
+
+@if $gap > 4px { .x { gap: $gap; } } @else { .x { gap: 0; } }
+`;
+
+  const { code, todos } = migrate(source, { syntax: 'scss', indent: '  ' });
+  expect(code).toBe(`@use 'tokens'
+$bp-md: 48rem !const
+$gap: 8px !const
+$brand: teal
+
+@mixin card-base
+  border-radius: 4px
+
+.card
+  @include card-base
+  color: $brand
+  padding: $gap * 2
+  border-color: $line
+  font-family: serif
+  font-size: 1rem
+
+  @media (min-width: $bp-md)
+    padding: $gap
+
+.card__title
+  margin: 0
+
+@if $gap > 4px
+  .x
+    gap: $gap
+@else
+  .x
+    gap: 0
+`);
+  expect(todos).toEqual([]);
+});
+
+test('migrates indented Sass including =mixin and +include shorthands', () => {
+  const source = `$primary: #333
+=button($pad: 1rem)
+  padding: $pad
+  color: $primary
+
+.nav
+  +button
+  a,
+  button
+    color: red // links
+  &-item
+    margin: 0
+`;
+
+  const { code } = migrate(source, { filename: 'nav.sass', indent: '  ' });
+  expect(code).toBe(`$primary: #333
+
+@mixin button($pad: 1rem)
+  padding: $pad
+  color: $primary
+
+.nav
+  @include button
+
+  a,
+  button
+    color: red // links
+
+.nav-item
+  margin: 0
+`);
+  expect(compile(code)).toContain('.nav-item {\n  margin: 0;\n}');
+});
+
+test('leaves TODO(boa) markers for constructs Boa cannot express', () => {
+  const source = `@use 'sass:math';
+$brand: teal;
+$muted: saturate($brand, 10%);
+.a { @extend .b; }
+@debug "done";
+`;
+
+  const { code, todos } = migrate(source, { syntax: 'scss', indent: '  ' });
+  expect(todos.map((todo) => todo.line)).toEqual([1, 3, 4, 5]);
+  expect(code).toContain('// TODO(boa): @debug has no Boa equivalent.\n// @debug "done";');
+  expect(code).toContain('// TODO(boa): Sass function saturate() has no Boa equivalent');
+  expect(code).toContain('$brand: teal !const');
+  expect(code).toContain('// @extend .b;');
+
+  const colors = migrate('$brand: teal;\n.a { color: darken($brand, 10%); background: rgba($brand, 0.5); }', { syntax: 'scss', indent: '  ' });
+  expect(colors.todos).toEqual([]);
+  expect(colors.code).toContain('$brand: teal !const');
+  expect(compile(colors.code)).toContain('color: #004d4d;\n  background: rgb(0 128 128 / 0.5);');
+});
+
+test('comments out Sass maps and @each loops over them', () => {
+  const source = `$sizes: (sm: 1px, md: 2px);
+$steps: (1px, 2px);
+@each $key, $size in $sizes {
+  .m-#{$key} { margin: $size; }
+}
+@each $step in $steps {
+  .p-#{$step} { padding: $step; }
+}
+`;
+
+  const { code, todos } = migrate(source, { syntax: 'scss', indent: '  ' });
+  expect(todos.map((todo) => todo.line)).toEqual([1, 3]);
+  expect(code).toContain('// TODO(boa): Sass maps have no Boa equivalent; split $sizes into separate variables or a list.\n// $sizes: (sm: 1px, md: 2px)\n');
+  expect(code).toContain('// TODO(boa): @each over a Sass map has no Boa equivalent; loop over a list instead.\n// @each $key, $size in $sizes {');
+  expect(code).toContain('$steps: 1px, 2px !const');
+  expect(compile(code)).not.toContain('.m-(');
+  expect(compile(code)).toContain('.p-1px {\n  padding: 1px;\n}\n.p-2px {');
+});
+
+test('migrates @function and @return into Boa functions', () => {
+  const source = `@function rem($px, $root: 16) {
+  @if $px == 0 {
+    @return 0;
+  }
+  @return $px / $root * 1rem;
+}
+.a { padding: rem(8) rem(0); }
+`;
+
+  const { code, todos } = migrate(source, { syntax: 'scss', indent: '  ' });
+  expect(todos).toEqual([]);
+  expect(code).toContain(`@function rem($px, $root: 16)
+  @if $px == 0
+    @return 0
+
+  @return $px / $root * 1rem`);
+  expect(compile(code)).toContain('padding: 0.5rem 0;');
+});
@@ -0,0 +1,33 @@
+import { expect, test } from 'bun:test';
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { boaPlugin } from '../src/plugin.js';
+
+function writeProject() {
+  const dir = mkdtempSync(join(tmpdir(), 'boa-plugin-'));
+  writeFileSync(join(dir, '_tokens.boa'), `$space: 1rem !const
+$brand: teal`);
+  writeFileSync(join(dir, 'app.boa'), `@use 'tokens'
+.card
+  padding: $space
+  color: $brand`);
+  writeFileSync(join(dir, 'entry.js'), `import './app.boa';\n`);
+  return dir;
+}
+
+test('plugin compiles imported .boa files into the CSS bundle', async () => {
+  const dir = writeProject();
+  const result = await Bun.build({
+    entrypoints: [join(dir, 'entry.js')],
+    outdir: join(dir, 'out'),
+    plugins: [boaPlugin()],
+  });
+
+  expect(result.success).toBe(true);
+  const stylesheet = result.outputs.find((output) => output.path.endsWith('.css'));
+  const css = await stylesheet.text();
+  expect(css).toContain('--brand: teal');
+  expect(css).toContain('padding: 1rem');
+  expect(css).toContain('color: var(--brand)');
+});